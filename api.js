@@ -1,8 +1,11 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { readAlertDatabase, getProduct } from './database.js';
+import { readAlertDatabase, getProduct, queryAlerts, findAlertsAtPoint, findArchivedAlert, searchArchivedAlerts, ALERT_FLAGS } from './database.js';
 import { recordSubscribe, getAnalytics } from './utils/analytics.js';
+import { getSpecialProduct } from './parsers/special/index.js';
+import { getClosestApproach } from './utils/storm-track.js';
+import { compareSeverity } from './utils/severity.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -16,10 +19,112 @@ function normalizeOrigin(origin) {
     }
 }
 
+// The statement history is served on /alerts/:id/history, alert lists and events carry the current state only
+function withoutVersions(alert) {
+    if (!alert) return alert;
+    const { versions, ...current } = alert;
+    return current;
+}
+
+// Comma separated query values, upper case
+function listParam(value) {
+    return value ? String(value).toUpperCase().split(',').map((item) => item.trim()).filter(Boolean) : null;
+}
+
+function timeParam(query, name) {
+    if (!query[name]) return null;
+    const time = new Date(query[name]);
+    if (isNaN(time.getTime())) {
+        throw new Error(`${name} must be an ISO 8601 time`);
+    }
+    return time.toISOString();
+}
+
+function bboxParam(query) {
+    if (!query.bbox) return null;
+    const bbox = String(query.bbox).split(',').map(parseFloat);
+    if (bbox.length !== 4 || bbox.some((value) => !Number.isFinite(value))) {
+        throw new Error('bbox must be minLon,minLat,maxLon,maxLat');
+    }
+    return bbox;
+}
+
+// ?limit=&offset=, limit is null (everything) when there is no default
+function pageParams(query, defaultLimit = null) {
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : defaultLimit;
+    const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > 500)) {
+        throw new Error('limit must be between 1 and 500');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error('offset must be 0 or more');
+    }
+    return { limit, offset };
+}
+
+// Query of /archive/alerts, throws on invalid values
+function parseArchiveQuery(query) {
+    const eventTrackingNumbers = listParam(query.etn);
+    if (eventTrackingNumbers?.some((etn) => !/^\d{1,4}$/.test(etn))) {
+        throw new Error('etn must be a number of up to 4 digits');
+    }
+
+    return {
+        from: timeParam(query, 'from'),
+        to: timeParam(query, 'to'),
+        offices: listParam(query.office),
+        phenomena: listParam(query.phenomena),
+        significance: listParam(query.significance),
+        eventTrackingNumbers: eventTrackingNumbers?.map((etn) => etn.padStart(4, '0')),
+        states: listParam(query.state),
+        ugcs: listParam(query.ugc),
+        bbox: bboxParam(query),
+        text: query.q ? String(query.q) : null,
+        ...pageParams(query, 50)
+    };
+}
+
+// Query of /alerts, throws on invalid values
+function parseAlertsQuery(query) {
+    const flags = {};
+    for (const flag of Object.keys(ALERT_FLAGS)) {
+        if (query[flag] === undefined) continue;
+        if (query[flag] !== 'true' && query[flag] !== 'false') {
+            throw new Error(`${flag} must be true or false`);
+        }
+        flags[flag] = query[flag] === 'true';
+    }
+
+    return {
+        offices: listParam(query.office),
+        phenomena: listParam(query.phenomena),
+        significance: listParam(query.significance),
+        productCodes: listParam(query.productCode),
+        states: listParam(query.state),
+        ugcs: listParam(query.ugc),
+        bbox: bboxParam(query),
+        since: timeParam(query, 'since'),
+        flags,
+        ...pageParams(query)
+    };
+}
+
+// ?fields=id,vtec,expiresAt keeps only those top level fields, ?exclude=message,geometry drops them
+function selectFields(query) {
+    const fields = query.fields ? String(query.fields).split(',').map((field) => field.trim()).filter(Boolean) : null;
+    const excluded = query.exclude ? String(query.exclude).split(',').map((field) => field.trim()).filter(Boolean) : [];
+
+    return (alert) => Object.fromEntries(Object.entries(alert)
+        .filter(([field]) => (!fields || fields.includes(field)) && !excluded.includes(field)));
+}
+
 export default class API {
     constructor(port, options = {}) {
         this.port = port;
         this.sseClients = new Set(); // Track all SSE client state objects
+        this.testSseClients = new Set(); // SSE clients of the test product stream (/subscribe/test)
+        this.testProductsEnabled = options.includeTestProducts ?? false;
+        this.ingestStatusProvider = null; // Returns the NWWS-OI connection state, see setIngestStatusProvider()
         this.allowNoOrigin = options.allowNoOrigin ?? false;
         this.domainWhitelist = new Set((options.domainWhitelist || [])
             .map(normalizeOrigin)
@@ -58,96 +163,150 @@ export default class API {
             res.json({ status: 'ok' });
         });
 
+        // Ingest status endpoint (public/index.html is served on / before the status endpoint)
+        this.app.get('/status', (req, res) => {
+            const ingest = this.ingestStatusProvider ? this.ingestStatusProvider() : null;
+            res.json({ status: 'ok', ingest });
+        });
+
         // Dashboard endpoint
         this.app.get('/dashboard', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
         });
 
-        // Endpoint to get all active alerts
-        this.app.get('/alerts', (req, res) => {
-            // Return all alerts from the database
-            res.json({ alerts: readAlertDatabase() });
-        });
+        // Endpoint to get the active alerts, all of them without a query
+        // ?office=KBMX, ?phenomena=TO,SV, ?significance=W, ?productCode=TOR, ?state=AL, ?ugc=ALC127, ?bbox=minLon,minLat,maxLon,maxLat,
+        // ?since= (issued or updated since), ?pds=true, ?emergency=true, ?fields=id,vtec or ?exclude=message, ?limit=&offset=
+        this.app.get('/alerts', (req, res) => this._sendAlerts(req, res, 'operational'));
+
+        // Endpoint to check if a projected storm track passes near a point
+        // ?lat=33.5&lon=-86.8 and optionally &radius=10 (km)
+        this.app.get('/alerts/track', (req, res) => {
+            const lat = parseFloat(req.query.lat);
+            const lon = parseFloat(req.query.lon);
+            const radiusKm = req.query.radius !== undefined ? parseFloat(req.query.radius) : 10;
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                return res.status(400).json({ error: 'lat and lon are required.' });
+            }
+            if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+                return res.status(400).json({ error: 'radius must be a positive number of km.' });
+            }
 
-        // Endpoint to subscribe to SSE stream
-        this.app.get('/subscribe', (req, res) => {
-            const toLog = req.query.log === 'true' ? true : false; // Default to false if not specified
-            console.log('Subscribe hit; log subscribe event:', toLog);
-
-            // Set up SSE headers
-            res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-            res.setHeader('Cache-Control', 'no-cache, no-transform');
-            res.setHeader('Connection', 'keep-alive');
-            res.setHeader('X-Accel-Buffering', 'no');
-
-            // Flush headers early so proxies and browsers treat this as a live stream immediately
-            if (typeof res.flushHeaders === 'function') {
-                res.flushHeaders();
-            }
-
-            // Instruct EventSource clients how quickly they should retry after disconnect
-            res.write('retry: 5000\n\n');
-
-            const heartbeatIntervalMs = 25000;
-            const client = {
-                res,
-                heartbeat: null
-            };
-
-            const cleanupClient = () => {
-                if (client.heartbeat) {
-                    clearInterval(client.heartbeat);
-                    client.heartbeat = null;
+            const now = new Date();
+            const passes = [];
+            for (const alert of readAlertDatabase()) {
+                const timeMotLoc = alert.properties?.timeMotLoc;
+                if (!timeMotLoc || new Date(alert.expiresAt) <= now) continue;
+
+                const approach = getClosestApproach(timeMotLoc, alert.geometry, lat, lon, now);
+                if (approach && approach.distanceKm <= radiusKm) {
+                    passes.push({
+                        id: alert.id,
+                        productName: alert.productName,
+                        nwsOffice: alert.nwsOffice,
+                        expiresAt: alert.expiresAt,
+                        ...approach
+                    });
                 }
-                this.sseClients.delete(client);
-            };
+            }
+            passes.sort((a, b) => a.eta.localeCompare(b.eta));
 
-            // Add this client to the set
-            this.sseClients.add(client);
+            res.json({ lat, lon, radiusKm, nearby: passes.length > 0, passes });
+        });
 
-            // Keep the connection alive with a comment
-            res.write(':connected\n\n');
+        // Endpoint to get the active alerts at a point, most severe first
+        // ?lat=33.5&lon=-86.8, ?fields=id,vtec or ?exclude=message like /alerts
+        this.app.get('/alerts/point', (req, res) => {
+            const lat = parseFloat(req.query.lat);
+            const lon = parseFloat(req.query.lon);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                return res.status(400).json({ error: 'lat and lon are required.' });
+            }
 
-            // Keep stream alive through proxies/load balancers that close idle HTTP connections
-            client.heartbeat = setInterval(() => {
-                if (res.writableEnded || res.destroyed) {
-                    cleanupClient();
-                    return;
-                }
+            const alerts = findAlertsAtPoint(lat, lon).sort(compareSeverity);
+            const select = selectFields(req.query);
+            res.json({ lat, lon, alerts: alerts.map((alert) => select(withoutVersions(alert))) });
+        });
 
-                try {
-                    res.write(`:heartbeat ${Date.now()}\n\n`);
-                } catch {
-                    cleanupClient();
+        // Endpoint to subscribe to SSE stream
+        this.app.get('/subscribe', (req, res) => this._openEventStream(req, res, this.sseClients));
+
+        // Test, experimental and exercise alerts (T/E/X VTEC) have their own stream and store when enabled
+        this.app.get('/subscribe/test', (req, res) => {
+            if (!this.testProductsEnabled) {
+                return res.status(404).json({ error: 'Test products are not enabled.' });
+            }
+            this._openEventStream(req, res, this.testSseClients);
+        });
+
+        this.app.get('/alerts/test', (req, res) => {
+            if (!this.testProductsEnabled) {
+                return res.status(404).json({ error: 'Test products are not enabled.' });
+            }
+            this._sendAlerts(req, res, 'test');
+        });
+
+        // Every statement of an alert, oldest first; alerts that ended come from the archive
+        this.app.get('/alerts/:id/history', (req, res) => {
+            const stores = this.testProductsEnabled ? ['operational', 'test'] : ['operational'];
+            for (const store of stores) {
+                const alert = readAlertDatabase(store).find((stored) => stored.id === req.params.id) || findArchivedAlert(req.params.id, store);
+                if (alert) {
+                    return res.json({ id: alert.id, versions: alert.versions || [] });
                 }
-            }, heartbeatIntervalMs);
+            }
+            res.status(404).json({ error: 'Alert not found.' });
+        });
 
-            // Record successful subscribe event
-            if (toLog) recordSubscribe();
+        // Search alerts that expired, were cancelled or were upgraded
+        // ?from=&to= (in effect at any time between), ?office=KBMX, ?phenomena=TO,SV, ?significance=W, ?etn=45,
+        // ?state=AL, ?ugc=ALC127, ?bbox=minLon,minLat,maxLon,maxLat, ?q= (free text), ?limit=50&offset=0
+        this.app.get('/archive/alerts', (req, res) => {
+            let filters;
+            try {
+                filters = parseArchiveQuery(req.query);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
 
-            // Remove client on disconnect
-            req.on('close', cleanupClient);
-            res.on('close', cleanupClient);
-            res.on('error', cleanupClient);
+            const { total, alerts } = searchArchivedAlerts(filters);
+            res.json({ total, limit: filters.limit, offset: filters.offset, alerts: alerts.map(withoutVersions) });
         });
 
         this.app.get('/product/:code', (req, res) => {
-            const code = req.params.code;
-            switch (code) {
-                case 'COD':
-                    try {
-                        const productData = getProduct(code.toLowerCase());
-                        res.json(productData);
-                    } catch (err) {
-                        res.status(404).json({ error: err.message });
-                    }
-                    break;
-                default:
-                    res.status(404).json({ error: 'Product not supported or unavailable.' });
+            // Any product registered in parsers/special can be served
+            const handler = getSpecialProduct(req.params.code);
+            if (!handler) {
+                return res.status(404).json({ error: 'Product not supported or unavailable.' });
+            }
+
+            try {
+                const productData = getProduct(handler.storageKey);
+                res.json(handler.serialize(productData, req.query));
+            } catch (err) {
+                res.status(404).json({ error: err.message });
             }
         });
         
 
+        // Local storm reports as GeoJSON, filtered with ?bbox=, ?since=, ?until= and ?type=
+        this.app.get('/reports', (req, res) => {
+            const handler = getSpecialProduct('LSR');
+
+            let reports = null;
+            try {
+                reports = getProduct(handler.storageKey);
+            } catch {
+                // No reports stored yet
+            }
+
+            try {
+                res.json(handler.serialize(reports, req.query));
+            } catch (err) {
+                res.status(400).json({ error: err.message });
+            }
+        });
+
         // Endpoint to get analytics data (subscribe events by day for last 30 days)
         this.app.get('/analytics', (req, res) => {
             res.json(getAnalytics());
@@ -169,11 +328,92 @@ export default class API {
             });
         });
 
-        this.app.listen(this.port, () => {
+        this.server = this.app.listen(this.port, () => {
             console.log(`API server running on http://localhost:${this.port}`);
         });
     }
 
+    // Function that sets where the status endpoint gets the ingest connection state from
+    setIngestStatusProvider(provider) {
+        this.ingestStatusProvider = typeof provider === 'function' ? provider : null;
+    }
+
+    // Respond with the alerts of a store that match the query of /alerts
+    _sendAlerts(req, res, store) {
+        let filters;
+        try {
+            filters = parseAlertsQuery(req.query);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        const { total, alerts } = queryAlerts(filters, store);
+        const select = selectFields(req.query);
+        res.json({ total, limit: filters.limit, offset: filters.offset, alerts: alerts.map((alert) => select(withoutVersions(alert))) });
+    }
+
+    // Keep a response open as an SSE stream of the events broadcast to clients
+    _openEventStream(req, res, clients) {
+        const toLog = req.query.log === 'true' ? true : false; // Default to false if not specified
+        console.log('Subscribe hit; log subscribe event:', toLog);
+
+        // Set up SSE headers
+        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+
+        // Flush headers early so proxies and browsers treat this as a live stream immediately
+        if (typeof res.flushHeaders === 'function') {
+            res.flushHeaders();
+        }
+
+        // Instruct EventSource clients how quickly they should retry after disconnect
+        res.write('retry: 5000\n\n');
+
+        const heartbeatIntervalMs = 25000;
+        const client = {
+            res,
+            heartbeat: null
+        };
+
+        const cleanupClient = () => {
+            if (client.heartbeat) {
+                clearInterval(client.heartbeat);
+                client.heartbeat = null;
+            }
+            clients.delete(client);
+        };
+
+        // Add this client to the set
+        clients.add(client);
+
+        // Keep the connection alive with a comment
+        res.write(':connected\n\n');
+
+        // Keep stream alive through proxies/load balancers that close idle HTTP connections
+        client.heartbeat = setInterval(() => {
+            if (res.writableEnded || res.destroyed) {
+                cleanupClient();
+                return;
+            }
+
+            try {
+                res.write(`:heartbeat ${Date.now()}\n\n`);
+            } catch {
+                cleanupClient();
+            }
+        }, heartbeatIntervalMs);
+
+        // Record successful subscribe event
+        if (toLog) recordSubscribe();
+
+        // Remove client on disconnect
+        req.on('close', cleanupClient);
+        res.on('close', cleanupClient);
+        res.on('error', cleanupClient);
+    }
+
     // Function that triggers a SSE:NEW event
     // Indicates a new alert has been added to the database
     triggerNewAlertEvent(alert) {
@@ -181,7 +421,7 @@ export default class API {
             console.warn('API: triggerNewAlertEvent called with no alert data');
             return;
         }
-        this._broadcastEvent('NEW', alert);
+        this._broadcastEvent('NEW', withoutVersions(alert));
     }
 
     // Function that triggers a SSE:UPDATE event
@@ -191,10 +431,28 @@ export default class API {
             console.warn('API: triggerUpdateAlertEvent called with no alert data');
             return;
         }
-        this._broadcastEvent('UPDATE', alert);
+        this._broadcastEvent('UPDATE', withoutVersions(alert));
+    }
+
+    // Function that triggers a SSE event for a special product (e.g. SSE:MD for mesoscale discussions)
+    // eventType comes from the product handler, see parsers/special/registry.js
+    triggerProductEvent(eventType, data) {
+        if (!eventType || !data) {
+            console.warn('API: triggerProductEvent called with no event type or data');
+            return;
+        }
+        this._broadcastEvent(eventType, data);
+    }
+
+    // Function that triggers a NEW or UPDATE event on the test product stream (/subscribe/test)
+    triggerTestAlertEvent(eventType, alert) {
+        if (!alert) {
+            return;
+        }
+        this._broadcastEvent(eventType, withoutVersions(alert), this.testSseClients);
     }
 
-    _broadcastEvent(eventType, data) {
+    _broadcastEvent(eventType, data, clients = this.sseClients) {
         if (!data) {
             console.error(`API: Cannot broadcast ${eventType} event with null/undefined data`);
             return;
@@ -212,11 +470,11 @@ export default class API {
         
         // Send to all connected SSE clients
         let successCount = 0;
-        this.sseClients.forEach(client => {
+        clients.forEach(client => {
             const response = client.res;
 
             if (!response || response.writableEnded || response.destroyed) {
-                this.sseClients.delete(client);
+                clients.delete(client);
                 return;
             }
 
@@ -225,7 +483,7 @@ export default class API {
                 successCount++;
             } catch (err) {
                 // Client disconnected, remove it
-                this.sseClients.delete(client);
+                clients.delete(client);
             }
         });
 
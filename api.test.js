@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+
+import API from './api.js';
+import parseVTEC from './parsers/vtec.js';
+import { setDataDirectory, addNewAlert } from './database.js';
+
+let api;
+let baseUrl;
+
+before(async () => {
+    setDataDirectory(fs.mkdtempSync(path.join(os.tmpdir(), 'sparkalerts-api-')));
+    addNewAlert({
+        id: 'KBMX-SVRBMX-SV.W.0101',
+        productCode: 'SVR',
+        productName: 'Severe Thunderstorm Warning',
+        issuedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 3600000).toISOString(),
+        nwsOffice: 'KBMX',
+        vtec: parseVTEC('/O.NEW.KBMX.SV.W.0101.261018T2000Z-261018T2100Z/'),
+        ugcs: ['ALC073'],
+        message: 'Severe Thunderstorm Warning text.',
+        geometry: { type: 'Polygon', coordinates: [[[-87, 33.4], [-86.6, 33.4], [-86.6, 33.7], [-87, 33.7], [-87, 33.4]]] },
+        geometrySource: 'polygon',
+        properties: {}
+    });
+
+    // Port 0 picks a free port
+    api = new API(0);
+    await once(api.server, 'listening');
+    baseUrl = `http://localhost:${api.server.address().port}`;
+});
+
+after(() => {
+    api.server.close();
+});
+
+async function getJson(url) {
+    const response = await fetch(baseUrl + url);
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+test('/alerts/point returns every field but the history without a projection', async () => {
+    const { alerts } = await getJson('/alerts/point?lat=33.52&lon=-86.81');
+
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].message, 'Severe Thunderstorm Warning text.');
+    assert.equal(alerts[0].versions, undefined);
+});
+
+test('/alerts/point takes the fields and exclude projection of /alerts', async () => {
+    const fields = await getJson('/alerts/point?lat=33.52&lon=-86.81&fields=id,expiresAt');
+    const excluded = await getJson('/alerts/point?lat=33.52&lon=-86.81&exclude=message,geometry');
+    const list = await getJson('/alerts?exclude=message,geometry');
+
+    assert.deepEqual(Object.keys(fields.alerts[0]), ['id', 'expiresAt']);
+    assert.equal(excluded.alerts[0].message, undefined);
+    assert.equal(excluded.alerts[0].geometry, undefined);
+    assert.deepEqual(excluded.alerts, list.alerts);
+});
@@ -0,0 +1,138 @@
+/*
+Raw Product Archive
+
+Keeps every received NWWS-OI stanza so bad parses can be reproduced and time windows replayed.
+Layout: <archive>/<YYYY-MM-DD>/<CCCC>/<AWIPS ID>/<received at>-<product id>.xml
+File names start with the UTC receive time, so name order is receive order.
+*/
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_ARCHIVE_DIRECTORY = './archive';
+const DEFAULT_RETENTION_DAYS = 7;
+
+// "2026-03-17T23:41:00.000Z" <-> "2026-03-17T23-41-00-000Z", colons are not allowed in Windows file names
+const fileTimestampRegex = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/;
+
+function _toFileTimestamp(isoTime) {
+    return isoTime.replace(/[:.]/g, '-');
+}
+
+function _fromFileTimestamp(fileName) {
+    const match = fileName.match(fileTimestampRegex);
+    return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+// Keep path components to characters that are safe on every filesystem
+function _safeName(value, fallback) {
+    const name = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return name || fallback;
+}
+
+/**
+ * Read the archive settings from the "archive" section of config.json
+ * @param {Object} archiveConfig - { enabled, path, retentionDays }
+ * @returns {{enabled: boolean, directory: string, retentionDays: number}} Settings with defaults applied
+ */
+export function getArchiveSettings(archiveConfig = {}) {
+    return {
+        enabled: archiveConfig?.enabled ?? true,
+        directory: archiveConfig?.path || DEFAULT_ARCHIVE_DIRECTORY,
+        retentionDays: archiveConfig?.retentionDays ?? DEFAULT_RETENTION_DAYS
+    };
+}
+
+/**
+ * Write a received stanza to the archive
+ * @param {string} directory - Archive directory
+ * @param {Object} stanza - NWWS-OI groupchat stanza
+ * @param {Date} receivedAt - When the stanza was received (default now)
+ * @returns {string} Path of the archived file
+ */
+export function archiveStanza(directory, stanza, receivedAt = new Date()) {
+    try {
+        const attrs = stanza.getChild('x', 'nwws-oi')?.attrs || {};
+        const isoTime = receivedAt.toISOString();
+        const productId = String(attrs.id || Date.now()).replace(/[^A-Za-z0-9.]/g, '');
+
+        const productDirectory = path.join(directory, isoTime.slice(0, 10), _safeName(attrs.cccc, 'UNKNOWN'), _safeName(attrs.awipsid, 'UNKNOWN'));
+        const filePath = path.join(productDirectory, `${_toFileTimestamp(isoTime)}-${productId}.xml`);
+
+        fs.mkdirSync(productDirectory, { recursive: true });
+        fs.writeFileSync(filePath, stanza.toString(), 'utf8');
+        return filePath;
+    } catch (err) {
+        throw new Error('Error archiving product: ' + err.message);
+    }
+}
+
+/**
+ * List archived products received within a time window, oldest first
+ * @param {string} directory - Archive directory
+ * @param {Date} from - Start of the window (inclusive)
+ * @param {Date} to - End of the window (inclusive)
+ * @returns {Array<{filePath: string, receivedAt: Date}>} Archived products
+ */
+export function listArchivedProducts(directory, from, to) {
+    try {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        const fromDay = from.toISOString().slice(0, 10);
+        const toDay = to.toISOString().slice(0, 10);
+        const products = [];
+
+        // Only walk the day directories that overlap the window
+        for (const day of fs.readdirSync(directory)) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || day < fromDay || day > toDay) continue;
+
+            for (const office of fs.readdirSync(path.join(directory, day))) {
+                for (const awipsId of fs.readdirSync(path.join(directory, day, office))) {
+                    const productDirectory = path.join(directory, day, office, awipsId);
+                    for (const fileName of fs.readdirSync(productDirectory)) {
+                        const receivedAt = _fromFileTimestamp(fileName);
+                        if (receivedAt && receivedAt >= from && receivedAt <= to) {
+                            products.push({ filePath: path.join(productDirectory, fileName), receivedAt });
+                        }
+                    }
+                }
+            }
+        }
+
+        return products.sort((a, b) => a.receivedAt - b.receivedAt || a.filePath.localeCompare(b.filePath));
+    } catch (err) {
+        throw new Error('Error listing archived products: ' + err.message);
+    }
+}
+
+/**
+ * Delete archived days older than the retention period
+ * @param {string} directory - Archive directory
+ * @param {number} retentionDays - Number of days to keep, 0 or less keeps everything
+ * @returns {number} Number of day directories removed
+ */
+export function pruneArchive(directory, retentionDays) {
+    try {
+        if (!(retentionDays > 0) || !fs.existsSync(directory)) {
+            return 0;
+        }
+
+        const cutoffDay = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        let removed = 0;
+        for (const day of fs.readdirSync(directory)) {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(day) && day < cutoffDay) {
+                fs.rmSync(path.join(directory, day), { recursive: true, force: true });
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            console.log(`Removed ${removed} day(s) of archived products older than ${cutoffDay}\n`);
+        }
+        return removed;
+    } catch (err) {
+        throw new Error('Error pruning product archive: ' + err.message);
+    }
+}
@@ -1,4 +1,287 @@
 import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { ugcToFips } from './utils/ugc.js';
+import { buildUgcGeometry, buildAreaDesc } from './utils/ugc-geometry.js';
+import { pointInGeometry } from './utils/storm-track.js';
+
+// Directory the database files live in, the working directory unless setDataDirectory() moves it (e.g. replays into a scratch database)
+let dataDirectory = '.';
+
+function _dataPath(fileName) {
+    return path.join(dataDirectory, fileName);
+}
+
+// Alerts are kept in an SQLite database, every change is one transaction
+// Test, experimental and exercise alerts (T/E/X VTEC) are kept apart from the real ones in their own store
+const ALERT_DATABASE_FILE = 'alerts.db';
+const ALERT_STORES = ['operational', 'test'];
+
+// JSON files the stores were kept in before, imported on first start
+const LEGACY_ALERT_STORE_FILES = {
+    operational: 'alerts.json',
+    test: 'test_alerts.json'
+};
+
+let database = null;
+
+function _database() {
+    if (database) {
+        return database;
+    }
+
+    database = new Database(_dataPath(ALERT_DATABASE_FILE));
+    // Write-ahead logging keeps the last committed state if the process dies mid-write
+    database.pragma('journal_mode = WAL');
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS alerts (
+            row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            store TEXT NOT NULL,
+            id TEXT,
+            office_id TEXT,
+            phenomena TEXT,
+            significance TEXT,
+            event_tracking_number TEXT,
+            expires_at TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS alerts_vtec_identity ON alerts (store, event_tracking_number, office_id, phenomena, significance);
+        CREATE INDEX IF NOT EXISTS alerts_office ON alerts (store, office_id);
+        CREATE INDEX IF NOT EXISTS alerts_phenomena ON alerts (store, phenomena, significance);
+        CREATE INDEX IF NOT EXISTS alerts_expiry ON alerts (store, expires_at);
+        CREATE INDEX IF NOT EXISTS alerts_id ON alerts (store, id);
+
+        -- Spatial index: bounding box of every active alert's shape, keyed by alerts.row_id
+        CREATE VIRTUAL TABLE IF NOT EXISTS alert_bounds USING rtree(id, min_lon, max_lon, min_lat, max_lat);
+
+        CREATE TABLE IF NOT EXISTS archived_alerts (
+            row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            store TEXT NOT NULL,
+            id TEXT,
+            office_id TEXT,
+            phenomena TEXT,
+            significance TEXT,
+            event_tracking_number TEXT,
+            starts_at TEXT,
+            ends_at TEXT,
+            end_reason TEXT NOT NULL,
+            ugcs TEXT,
+            states TEXT,
+            min_lon REAL,
+            min_lat REAL,
+            max_lon REAL,
+            max_lat REAL,
+            search_text TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS archived_alerts_time ON archived_alerts (store, starts_at, ends_at);
+        CREATE INDEX IF NOT EXISTS archived_alerts_vtec_identity ON archived_alerts (store, event_tracking_number, office_id, phenomena, significance);
+        CREATE INDEX IF NOT EXISTS archived_alerts_office ON archived_alerts (store, office_id);
+        CREATE INDEX IF NOT EXISTS archived_alerts_id ON archived_alerts (store, id);
+    `);
+
+    _migrateLegacyStores();
+    _indexMissingBounds();
+    return database;
+}
+
+function _migrateLegacyStores() {
+    for (const [store, fileName] of Object.entries(LEGACY_ALERT_STORE_FILES)) {
+        const filePath = _dataPath(fileName);
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+
+        try {
+            const data = fs.readFileSync(filePath, 'utf8');
+            const alerts = data.trim() ? JSON.parse(data) : [];
+            database.transaction(() => alerts.forEach(alert => _insertAlert(alert, store)))();
+
+            // Renamed rather than deleted, and so it is not imported again
+            fs.renameSync(filePath, `${filePath}.migrated`);
+            console.log(`Migrated ${alerts.length} alert(s) from ${fileName} into ${ALERT_DATABASE_FILE}`);
+        } catch (err) {
+            console.error(`Error migrating ${fileName}, it will be retried on the next start:`, err.message);
+        }
+    }
+}
+
+function _checkStore(store) {
+    if (!ALERT_STORES.includes(store)) {
+        throw new Error(`Unknown alert store "${store}"`);
+    }
+}
+
+function _alertColumns(alert) {
+    // Expiry is stored as UTC ISO time so it can be compared as text
+    const expiresAt = new Date(alert.expiresAt || alert.vtec?.expireTime || NaN);
+
+    return {
+        id: alert.id || null,
+        office_id: alert.vtec?.officeId || null,
+        phenomena: alert.vtec?.phenomena || null,
+        significance: alert.vtec?.significance || null,
+        event_tracking_number: alert.vtec?.eventTrackingNumber || null,
+        expires_at: isNaN(expiresAt.getTime()) ? null : expiresAt.toISOString(),
+        data: JSON.stringify(alert)
+    };
+}
+
+function _insertAlert(alert, store) {
+    const { lastInsertRowid } = database.prepare(`
+        INSERT INTO alerts (store, id, office_id, phenomena, significance, event_tracking_number, expires_at, data)
+        VALUES (@store, @id, @office_id, @phenomena, @significance, @event_tracking_number, @expires_at, @data)
+    `).run({ store, ..._alertColumns(alert) });
+    _indexBounds(lastInsertRowid, alert);
+}
+
+function _replaceAlert(rowId, alert) {
+    database.prepare(`
+        UPDATE alerts SET id = @id, office_id = @office_id, phenomena = @phenomena, significance = @significance,
+            event_tracking_number = @event_tracking_number, expires_at = @expires_at, data = @data
+        WHERE row_id = @row_id
+    `).run({ row_id: rowId, ..._alertColumns(alert) });
+    _indexBounds(rowId, alert);
+}
+
+function _deleteAlertRow(rowId) {
+    database.prepare('DELETE FROM alerts WHERE row_id = ?').run(rowId);
+    database.prepare('DELETE FROM alert_bounds WHERE id = ?').run(rowId);
+}
+
+function _indexBounds(rowId, alert) {
+    // Shapes change with updates and zone removals, the old box is replaced
+    database.prepare('DELETE FROM alert_bounds WHERE id = ?').run(rowId);
+
+    const [minLon, minLat, maxLon, maxLat] = _geometryBounds(alert.geometry);
+    if (minLon !== null) {
+        database.prepare('INSERT INTO alert_bounds (id, min_lon, max_lon, min_lat, max_lat) VALUES (?, ?, ?, ?, ?)').run(rowId, minLon, maxLon, minLat, maxLat);
+    }
+}
+
+function _indexMissingBounds() {
+    // Alerts stored before the spatial index existed
+    const rows = database.prepare('SELECT row_id, data FROM alerts WHERE row_id NOT IN (SELECT id FROM alert_bounds)').all();
+    database.transaction(() => rows.forEach(row => _indexBounds(row.row_id, JSON.parse(row.data))))();
+}
+
+function _identityFilter(identity) {
+    // A bare string matches the event tracking number only
+    if (typeof identity === 'string') {
+        return { where: 'event_tracking_number = @eventTrackingNumber', params: { eventTrackingNumber: identity } };
+    }
+
+    return {
+        where: 'event_tracking_number = @eventTrackingNumber AND office_id = @officeId AND phenomena = @phenomena AND significance = @significance',
+        params: {
+            eventTrackingNumber: identity.eventTrackingNumber ?? null,
+            officeId: identity.officeId ?? null,
+            phenomena: identity.phenomena ?? null,
+            significance: identity.significance ?? null
+        }
+    };
+}
+
+function _findAlertRow(identity, store) {
+    const { where, params } = _identityFilter(identity);
+    const row = _database().prepare(`SELECT row_id, data FROM alerts WHERE store = @store AND ${where} ORDER BY row_id LIMIT 1`).get({ store, ...params });
+    return row ? { rowId: row.row_id, alert: JSON.parse(row.data) } : null;
+}
+
+// Alerts that ended (expired, cancelled or upgraded) are moved to archived_alerts instead of being deleted
+function _endReason(alert) {
+    if (alert.retiredAt) {
+        return 'superseded';
+    }
+    return alert.vtec?.actionCode === 'CAN' ? 'cancelled' : 'expired';
+}
+
+function _validIso(value) {
+    const time = new Date(value || NaN);
+    return isNaN(time.getTime()) ? null : time.toISOString();
+}
+
+// Statements after the NEW one (CON, CAN, EXP...) carry an all-zero start time, which parses to 1999-11-30
+const VTEC_UNSET_TIME = '1999-11-30T00:00:00.000Z';
+
+function _vtecStart(vtec) {
+    const startsAt = _validIso(vtec?.startTimeISO);
+    return startsAt === VTEC_UNSET_TIME ? null : startsAt;
+}
+
+function _geometryBounds(geometry) {
+    // [minLon, minLat, maxLon, maxLat] of any GeoJSON geometry
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    const visit = (coordinates) => {
+        if (typeof coordinates?.[0] === 'number') {
+            bounds[0] = Math.min(bounds[0], coordinates[0]);
+            bounds[1] = Math.min(bounds[1], coordinates[1]);
+            bounds[2] = Math.max(bounds[2], coordinates[0]);
+            bounds[3] = Math.max(bounds[3], coordinates[1]);
+        } else {
+            (coordinates || []).forEach(visit);
+        }
+    };
+    visit(geometry?.coordinates);
+    return Number.isFinite(bounds[0]) ? bounds : [null, null, null, null];
+}
+
+function _archiveAlert(alert, store) {
+    const archivedAt = new Date().toISOString();
+    const endReason = _endReason(alert);
+    const versions = alert.versions || [];
+
+    // In effect from the event start (or first issuance) until it expired, was cancelled or was upgraded
+    // The start comes from the NEW statement, the latest one has no start time of its own
+    const firstVersion = versions.find(version => version.action === 'NEW') || versions[0];
+    const startsAt = _vtecStart(firstVersion?.vtec) || _validIso(versions[0]?.issuedAt) || _vtecStart(alert.vtec) || _validIso(alert.issuedAt) || _validIso(alert.receivedAt);
+    const endedAt = endReason === 'expired'
+        ? [_validIso(alert.expiresAt), archivedAt].filter(Boolean).sort()[0]
+        : _validIso(alert.retiredAt) || _validIso(alert.issuedAt) || _validIso(alert.receivedAt) || archivedAt;
+
+    // Every statement, zone and zone state is searchable, including zones the alert no longer had when it ended
+    const ugcs = new Set([...(alert.ugcs || []), ...versions.flatMap(version => version.ugcs || [])]);
+    const states = new Set(Array.from(ugcs, ugc => ugc.slice(0, 2)));
+    const searchText = [alert.productName, alert.areaDesc, ...(versions.length ? versions.map(version => version.message) : [alert.message])]
+        .filter(Boolean).join('\n').toUpperCase();
+    const [minLon, minLat, maxLon, maxLat] = _geometryBounds(alert.geometry);
+
+    const { data, ...columns } = _alertColumns(alert);
+    database.prepare(`
+        INSERT INTO archived_alerts (store, id, office_id, phenomena, significance, event_tracking_number, starts_at, ends_at, end_reason,
+            ugcs, states, min_lon, min_lat, max_lon, max_lat, search_text, data)
+        VALUES (@store, @id, @office_id, @phenomena, @significance, @event_tracking_number, @starts_at, @ends_at, @end_reason,
+            @ugcs, @states, @min_lon, @min_lat, @max_lon, @max_lat, @search_text, @data)
+    `).run({
+        store,
+        id: columns.id,
+        office_id: columns.office_id,
+        phenomena: columns.phenomena,
+        significance: columns.significance,
+        event_tracking_number: columns.event_tracking_number,
+        starts_at: startsAt,
+        ends_at: endedAt,
+        end_reason: endReason,
+        // Wrapped in commas so a single zone or state can be matched with LIKE '%,ALC127,%'
+        ugcs: `,${Array.from(ugcs).join(',')},`,
+        states: `,${Array.from(states).join(',')},`,
+        min_lon: minLon,
+        min_lat: minLat,
+        max_lon: maxLon,
+        max_lat: maxLat,
+        search_text: searchText,
+        data: JSON.stringify({ ...alert, startsAt, endedAt, endReason, archivedAt })
+    });
+}
+
+function setDataDirectory(directory) {
+    fs.mkdirSync(directory, { recursive: true });
+    if (database) {
+        database.close();
+        database = null;
+    }
+    dataDirectory = directory;
+}
 
 function _formatAlertIdentity(identity) {
     if (!identity) {
@@ -17,224 +300,477 @@ function _formatAlertIdentity(identity) {
     return `${officeId}.${phenomena}.${significance}.${eventTrackingNumber}`;
 }
 
-function _getUpdatedProps(updatedMessage) {
-    // Cancellation mesesages have no props
-    // Thus, a PDS tornado warning for example may appear downgraded
-    // We need to ignore cancellation messages for props
-    const messages = updatedMessage.split('#####');
-    // Loop until latest non-cancellation message
-    let latestMessageForProps = '';
-    for (let i = messages.length - 1; i >= 0; i--) {
-        const thisMessage = messages[i].trim();
-        if (thisMessage) {
-            if (thisMessage.toLowerCase().includes('has been cancelled')){
-                continue; // Skip cancellation messages
-            } else {
-                // This is the latest non-cancellation message, use it for properties
-                latestMessageForProps = thisMessage;
-                break;
-            }
-        }
-    }
-
+// Every statement (issuance) of an alert is kept in alert.versions, oldest first
+function _buildVersion(data) {
     return {
-        isPds: latestMessageForProps.toLowerCase().includes('particularly dangerous situation') || false,
-        isConsiderable: latestMessageForProps.toLowerCase().includes('thunderstorm damage threat...considerable') || false,
-        isDestructive: latestMessageForProps.toLowerCase().includes('thunderstorm damage threat...destructive') || false,
-        isEmergency: latestMessageForProps.toLowerCase().includes('tornado emergency') || latestMessageForProps.toLowerCase().includes('flash flood emergency') || false,
-        isTorPossible: latestMessageForProps.toLowerCase().includes('tornado...possible') || false,
-        isTorConfirmed: latestMessageForProps.toLowerCase().includes('tornado...observed') || false,
-        isTorRadarIndicated: latestMessageForProps.toLowerCase().includes('tornado...radar indicated') || false,
-        isWaterspoutPossible: latestMessageForProps.toLowerCase().includes('waterspout...possible') || false,
+        action: data.vtec?.actionCode || 'NEW',
+        vtec: data.vtec || null,
+        issuedAt: data.issuedAt || data.receivedAt || new Date().toISOString(),
+        receivedAt: data.receivedAt || new Date().toISOString(),
+        expiresAt: data.expiresAt || null,
+        ugcs: data.ugcs || [],
+        geometry: data.geometry || null,
+        geometrySource: data.geometrySource || null,
+        properties: data.properties || {},
+        message: data.message || null
     };
 }
 
-function _isMatchingAlert(alert, identity) {
-    if (!identity) {
-        return false;
-    }
+function _addVersion(alert, data) {
+    // Alerts stored before versions were kept start their history with their last state
+    const versions = alert.versions || [_buildVersion(alert)];
+    const version = _buildVersion(data);
 
-    const alertVtec = alert?.vtec;
-    if (!alertVtec) {
-        return false;
+    // A correction supersedes the statement it corrects, which is the latest one
+    // The corrected statement stays in the history, linked to its correction
+    if (version.properties.isCorrection && versions.length > 0) {
+        const corrected = { ...versions[versions.length - 1], correctedBy: { action: version.action, issuedAt: version.issuedAt } };
+        return [...versions.slice(0, -1), corrected, version];
     }
+    return [...versions, version];
+}
 
-    if (typeof identity === 'string') {
-        return alertVtec.eventTrackingNumber === identity;
+// Cancellation, expiration and upgrade statements have no IBW tags or storm motion
+// Thus, a PDS tornado warning for example would appear downgraded
+const STATEMENTS_WITHOUT_TAGS = ['CAN', 'EXP', 'UPG'];
+
+function _getApplicableVersion(versions) {
+    // Latest statement that describes the hazard, the alert's properties and text come from it
+    // Statements that were corrected are skipped, their correction comes after them
+    return [...versions].reverse().find(version => !version.correctedBy && !STATEMENTS_WITHOUT_TAGS.includes(version.action)) || versions[versions.length - 1];
+}
+
+function _withoutUgcs(alert, removedUgcs) {
+    const remainingUgcs = (alert.ugcs || []).filter(ugc => !removedUgcs.has(ugc));
+    const updatedAlert = {
+        ...alert,
+        receivedAt: new Date().toISOString(),
+        ugcs: remainingUgcs,
+        fips: remainingUgcs.map(ugcToFips).filter(Boolean),
+        areaDesc: buildAreaDesc(remainingUgcs) || alert.areaDesc || null
+    };
+
+    // Shapes built from zones shrink with them, warning polygons are replaced by the next statement
+    if (alert.geometrySource !== 'polygon') {
+        const preferFireZones = alert.vtec?.phenomena === 'FW';
+        Object.assign(updatedAlert, buildUgcGeometry(remainingUgcs, { preferFireZones }) || { geometry: null, geometrySource: null });
     }
 
-    return (
-        alertVtec.eventTrackingNumber === identity.eventTrackingNumber &&
-        alertVtec.officeId === identity.officeId &&
-        alertVtec.phenomena === identity.phenomena &&
-        alertVtec.significance === identity.significance
-    );
+    return updatedAlert;
+}
+
+function _alertReference(alert) {
+    // Short form of an alert used for supersedes/supersededBy links
+    return {
+        id: alert.id,
+        event: _formatAlertIdentity(alert.vtec),
+        productName: alert.productName
+    };
 }
 
 // Function to read the alert database
-function readAlertDatabase() {
+function readAlertDatabase(store = 'operational') {
     try {
-        const data = fs.readFileSync('alerts.json', 'utf8');
-        return JSON.parse(data);
+        _checkStore(store);
+        return _database().prepare('SELECT data FROM alerts WHERE store = ? ORDER BY row_id').all(store).map(row => JSON.parse(row.data));
     } catch (err) {
-        if (err.code === 'ENOENT') {
-            fs.writeFileSync('alerts.json', JSON.stringify([]), 'utf8');
-            return [];
-        } else {
-            throw new Error('Error reading alert database: ' + err.message);
-        }
+        throw new Error('Error reading alert database: ' + err.message);
     }
 }
 
-function addNewAlert(alert) {
+function addNewAlert(alert, store = 'operational') {
     try {
-        const alerts = readAlertDatabase();
-        alerts.push(alert);
-
-        // No formatting to reduce file size
-        fs.writeFileSync('alerts.json', JSON.stringify(alerts), 'utf8');
+        _checkStore(store);
+        _database();
+        _insertAlert({ ...alert, versions: alert.versions || [_buildVersion(alert)] }, store);
     } catch (err) {
         throw new Error('Error adding new alert: ' + err.message);
     }
 }
 
-function checkAndRemoveExpiredAlerts() {
+function checkAndRemoveExpiredAlerts(store = 'operational') {
     try {
-        const alerts = readAlertDatabase();
-        const now = new Date();
-
-        // Filter out expired alerts
-        const activeAlerts = alerts.filter(alert => {
-            const expireTime = alert.expiresAt ? new Date(alert.expiresAt) : alert.vtec?.expireTime ? new Date(alert.vtec.expireTime) : null;
-            if (!expireTime) return true; // If no expiration, keep it
-
-            return expireTime > now;
-        });
-
-        // Write the updated list back to the database
-        fs.writeFileSync('alerts.json', JSON.stringify(activeAlerts), 'utf8');
+        _checkStore(store);
+
+        // Alerts without an expiration are kept
+        _database().transaction(() => {
+            const expired = database.prepare('SELECT row_id, data FROM alerts WHERE store = ? AND expires_at IS NOT NULL AND expires_at <= ?').all(store, new Date().toISOString());
+            for (const row of expired) {
+                _archiveAlert(JSON.parse(row.data), store);
+                _deleteAlertRow(row.row_id);
+            }
+        })();
         console.log("Expired alert cleanup ran successfully.\n");
     } catch (err) {
         throw new Error('Error checking/removing expired alerts: ' + err.message);
     }
 }
 
-function deleteAlert(alertIdentity) {
+function deleteAlert(alertIdentity, store = 'operational') {
     try {
         if (!alertIdentity) {
             throw new Error('Cannot delete alert: alert identity is required');
         }
+        _checkStore(store);
 
-        const alerts = readAlertDatabase();
-        const updatedAlerts = alerts.filter(alert => !_isMatchingAlert(alert, alertIdentity));
-
-        if (updatedAlerts.length === alerts.length) {
-            throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
-        }
+        const { where, params } = _identityFilter(alertIdentity);
+        _database().transaction(() => {
+            const rows = database.prepare(`SELECT row_id, data FROM alerts WHERE store = @store AND ${where}`).all({ store, ...params });
+            if (rows.length === 0) {
+                throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
+            }
 
-        fs.writeFileSync('alerts.json', JSON.stringify(updatedAlerts), 'utf8');
+            for (const row of rows) {
+                _archiveAlert(JSON.parse(row.data), store);
+                _deleteAlertRow(row.row_id);
+            }
+        })();
     } catch (err) {
         throw new Error('Error deleting alert: ' + err.message);
     }
 }
 
-function updateAlert(alertIdentity, updatedData) {
+function updateAlert(alertIdentity, updatedData, store = 'operational') {
     // Use VTEC identity to identify alert
     try {
         if (!alertIdentity) {
             throw new Error('Cannot update alert: alert identity is required');
         }
+        _checkStore(store);
 
-        const alerts = readAlertDatabase();
-        let alertFound = false;
+        return _database().transaction(() => {
+            const row = _findAlertRow(alertIdentity, store);
+            if (!row) {
+                throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
+            }
 
-        let updatedAlert = null;
+            const alert = row.alert;
+            console.log(`Updating alert with identity ${_formatAlertIdentity(alertIdentity)}`);
+
+            const versions = _addVersion(alert, updatedData);
+            const applicable = _getApplicableVersion(versions);
+
+            const updatedAlert = {
+                id: alert.id,
+                productCode: alert.productCode,
+                productName: alert.productName,
+                issuedAt: updatedData.issuedAt || null,
+                receivedAt: new Date().toISOString(),
+                expiresAt: updatedData.expiresAt || new Date(Date.now() + 3600000).toISOString(), // Default to 1 hour if no expiration provided
+                nwsOffice: updatedData.nwsOffice,
+                vtec: updatedData.vtec,
+                ugcs: updatedData.ugcs || alert.ugcs || [],
+                fips: (updatedData.ugcs || alert.ugcs || []).map(ugcToFips).filter(Boolean),
+                purgeTime: updatedData.purgeTime || alert.purgeTime || null,
+                areaDesc: updatedData.areaDesc || alert.areaDesc || null,
+                message: applicable.message,
+                geometry: updatedData.geometry,
+                geometrySource: updatedData.geometrySource || null,
+                stormTrack: updatedData.stormTrack || null,
+                properties: applicable.properties,
+                supersedes: alert.supersedes || [],
+                supersededBy: alert.supersededBy || [],
+                versions
+            };
+
+            _replaceAlert(row.rowId, updatedAlert);
+            return updatedAlert;
+        })();
+    } catch (err) {
+        throw new Error('Error updating alert: ' + err.message);
+    }
+}
 
-        const updatedAlerts = alerts.map(alert => {
-            if (_isMatchingAlert(alert, alertIdentity)) {
-                alertFound = true;
-                console.log(`Updating alert with identity ${_formatAlertIdentity(alertIdentity)}`);
+function cancelAlert(alertIdentity, updatedData, store = 'operational') {
+    // Find alert by VTEC identity
+    try {
+        if (!alertIdentity) {
+            throw new Error('Cannot cancel alert: alert identity is required');
+        }
+        _checkStore(store);
 
-                const updatedMessage = updatedData.message + "\n\n#####\n\n" + (alert.message || ''); // Prepend update message to original message
+        return _database().transaction(() => {
+            const row = _findAlertRow(alertIdentity, store);
+            if (!row) {
+                throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
+            }
 
-                const updatedProps = _getUpdatedProps(updatedMessage);
+            const alert = row.alert;
+            console.log(`Cancelling alert with identity ${_formatAlertIdentity(alertIdentity)}`);
+
+            // Cancellations have no tags of their own, keep the last known properties
+            const versions = _addVersion(alert, updatedData);
+
+            const updatedAlert = {
+                id: alert.id,
+                productCode: alert.productCode,
+                productName: alert.productName,
+                issuedAt: updatedData.issuedAt || null,
+                receivedAt: new Date().toISOString(),
+                expiresAt: alert.expiresAt,
+                nwsOffice: alert.nwsOffice,
+                vtec: updatedData.vtec,
+                ugcs: alert.ugcs || [],
+                fips: alert.fips || [],
+                purgeTime: alert.purgeTime || null,
+                areaDesc: alert.areaDesc || null,
+                message: updatedData.message,
+                geometry: updatedData.geometry, // Use updated geometry
+                geometrySource: updatedData.geometrySource || null,
+                stormTrack: null, // Cancelled storms are no longer tracked
+                properties: _getApplicableVersion(versions).properties,
+                supersedes: alert.supersedes || [],
+                supersededBy: alert.supersededBy || [],
+                versions
+            };
+
+            // The event is over, move it to the archive right away instead of waiting for the expiry sweep
+            _archiveAlert(updatedAlert, store);
+            _deleteAlertRow(row.rowId);
+            return updatedAlert;
+        })();
+    } catch (err) {
+        throw new Error('Error canceling alert: ' + err.message);
+    }
+}
 
-                updatedAlert = {
-                    id: alert.id,
-                    productCode: alert.productCode,
-                    productName: alert.productName,
-                    receivedAt: new Date().toISOString(),
-                    expiresAt: updatedData.expiresAt || new Date(Date.now() + 3600000).toISOString(), // Default to 1 hour if no expiration provided
-                    nwsOffice: updatedData.nwsOffice,
-                    vtec: updatedData.vtec,
-                    message: updatedMessage,
-                    geometry: updatedData.geometry,
-                    properties: updatedProps
-                };
+function findAlert(alertIdentity, store = 'operational') {
+    // Find a single alert by VTEC identity, null if it is not in the database
+    try {
+        if (!alertIdentity) {
+            throw new Error('Cannot find alert: alert identity is required');
+        }
+        _checkStore(store);
 
-                return updatedAlert;
-            }
-            return alert;
-        });
+        return _findAlertRow(alertIdentity, store)?.alert || null;
+    } catch (err) {
+        throw new Error('Error finding alert: ' + err.message);
+    }
+}
 
-        if (!alertFound) {
-            throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
+function removeAlertUgcs(alertIdentity, updatedData, store = 'operational') {
+    // Partial cancellation/expiration - drop the statement's zones from an alert but keep the rest active
+    try {
+        if (!alertIdentity) {
+            throw new Error('Cannot remove zones from alert: alert identity is required');
         }
+        _checkStore(store);
+
+        const removedUgcs = new Set(updatedData.ugcs || []);
+
+        return _database().transaction(() => {
+            const row = _findAlertRow(alertIdentity, store);
+            if (!row) {
+                throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
+            }
+
+            console.log(`Removing ${removedUgcs.size} zone(s) from alert with identity ${_formatAlertIdentity(alertIdentity)}`);
 
-        fs.writeFileSync('alerts.json', JSON.stringify(updatedAlerts), 'utf8');
-        return updatedAlert;
+            const updatedAlert = { ..._withoutUgcs(row.alert, removedUgcs), versions: _addVersion(row.alert, updatedData) };
+            _replaceAlert(row.rowId, updatedAlert);
+            return updatedAlert;
+        })();
     } catch (err) {
-        throw new Error('Error updating alert: ' + err.message);
+        throw new Error('Error removing zones from alert: ' + err.message);
     }
 }
 
-function cancelAlert(alertIdentity, updatedData) {
-    // Find alert by VTEC identity
+function upgradeAlert(alertIdentity, successorIdentity, updatedData, store = 'operational') {
+    // Upgrade (VTEC UPG) - the zones move from this alert to its successor, e.g. a Winter Storm Watch upgraded to a Warning
+    // The alert is retired once none of its zones are left, the successor keeps a link back to it
     try {
         if (!alertIdentity) {
-            throw new Error('Cannot cancel alert: alert identity is required');
+            throw new Error('Cannot upgrade alert: alert identity is required');
+        }
+        _checkStore(store);
+
+        return _database().transaction(() => {
+            const row = _findAlertRow(alertIdentity, store);
+            if (!row) {
+                throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
+            }
+
+            const alert = row.alert;
+            const successorRow = successorIdentity ? _findAlertRow(successorIdentity, store) : null;
+            const successor = successorRow?.alert || null;
+            const upgradedUgcs = new Set(updatedData.ugcs?.length ? updatedData.ugcs : alert.ugcs || []);
+            const remainingUgcs = (alert.ugcs || []).filter(ugc => !upgradedUgcs.has(ugc));
+            console.log(`Upgrading ${remainingUgcs.length > 0 ? upgradedUgcs.size + ' zone(s) of ' : ''}alert with identity ${_formatAlertIdentity(alertIdentity)} to ${_formatAlertIdentity(successorIdentity)}`);
+
+            const supersededBy = (alert.supersededBy || []).filter(reference => reference.id !== successor?.id);
+            const upgradedAlert = {
+                ...(remainingUgcs.length > 0 ? _withoutUgcs(alert, upgradedUgcs) : alert),
+                receivedAt: new Date().toISOString(),
+                supersededBy: successor ? [...supersededBy, _alertReference(successor)] : supersededBy,
+                supersedes: alert.supersedes || [],
+                versions: _addVersion(alert, updatedData)
+            };
+
+            if (remainingUgcs.length > 0) {
+                _replaceAlert(row.rowId, upgradedAlert);
+            } else {
+                upgradedAlert.message = updatedData.message;
+                upgradedAlert.stormTrack = null;
+                upgradedAlert.retiredAt = upgradedAlert.receivedAt;
+                _archiveAlert(upgradedAlert, store);
+                _deleteAlertRow(row.rowId);
+            }
+
+            let updatedSuccessor = null;
+            if (successor) {
+                updatedSuccessor = {
+                    ...successor,
+                    supersedes: [...(successor.supersedes || []).filter(reference => reference.id !== alert.id), _alertReference(alert)],
+                    supersededBy: successor.supersededBy || []
+                };
+                _replaceAlert(successorRow.rowId, updatedSuccessor);
+            }
+
+            return { alert: upgradedAlert, successor: updatedSuccessor };
+        })();
+    } catch (err) {
+        throw new Error('Error upgrading alert: ' + err.message);
+    }
+}
+
+function findAlertsAtPoint(lat, lon, store = 'operational') {
+    // Active alerts whose shape contains the point; the spatial index narrows them down to the boxes around it
+    // Alerts whose latest statement cancelled or expired them are not in effect even before they leave the table
+    try {
+        _checkStore(store);
+
+        const rows = _database().prepare(`
+            SELECT alerts.data FROM alert_bounds JOIN alerts ON alerts.row_id = alert_bounds.id
+            WHERE alert_bounds.min_lon <= @lon AND alert_bounds.max_lon >= @lon AND alert_bounds.min_lat <= @lat AND alert_bounds.max_lat >= @lat
+                AND alerts.store = @store AND (alerts.expires_at IS NULL OR alerts.expires_at > @now)
+                AND COALESCE(json_extract(alerts.data, '$.vtec.actionCode'), '') NOT IN ('CAN', 'EXP')
+        `).all({ lat, lon, store, now: new Date().toISOString() });
+
+        return rows.map(row => JSON.parse(row.data)).filter(alert => pointInGeometry([lon, lat], alert.geometry));
+    } catch (err) {
+        throw new Error('Error finding alerts at point: ' + err.message);
+    }
+}
+
+function _addListCondition(conditions, params, column, values, name, match = (param) => `${column} = @${param}`) {
+    // Matches any of the values, e.g. (phenomena = @phenomena0 OR phenomena = @phenomena1)
+    if (!values?.length) return;
+    conditions.push(`(${values.map((value, index) => {
+        params[`${name}${index}`] = value;
+        return match(`${name}${index}`);
+    }).join(' OR ')})`);
+}
+
+// Boolean alert properties that can be filtered on
+const ALERT_FLAGS = {
+    pds: 'isPds',
+    emergency: 'isEmergency',
+    considerable: 'isConsiderable',
+    destructive: 'isDestructive',
+    torPossible: 'isTorPossible',
+    torConfirmed: 'isTorConfirmed'
+};
+
+function queryAlerts(filters = {}, store = 'operational') {
+    // filters: { offices, phenomena, significance, productCodes, states, ugcs, bbox, since, flags: { pds: true, ... }, limit, offset }
+    // List filters match any of their values, all filters must match
+    try {
+        _checkStore(store);
+
+        const conditions = ['store = @store'];
+        const params = { store };
+        const addList = (column, values, name, match) => _addListCondition(conditions, params, column, values, name, match);
+
+        addList('office_id', filters.offices, 'office');
+        addList('phenomena', filters.phenomena, 'phenomena');
+        addList('significance', filters.significance, 'significance');
+        addList('productCode', filters.productCodes, 'productCode', (param) => `json_extract(data, '$.productCode') = @${param}`);
+        addList('states', filters.states, 'state', (param) => `EXISTS (SELECT 1 FROM json_each(data, '$.ugcs') WHERE substr(value, 1, 2) = @${param})`);
+        addList('ugcs', filters.ugcs, 'ugc', (param) => `EXISTS (SELECT 1 FROM json_each(data, '$.ugcs') WHERE value = @${param})`);
+
+        if (filters.bbox) {
+            conditions.push('row_id IN (SELECT id FROM alert_bounds WHERE max_lon >= @minLon AND min_lon <= @maxLon AND max_lat >= @minLat AND min_lat <= @maxLat)');
+            [params.minLon, params.minLat, params.maxLon, params.maxLat] = filters.bbox;
         }
 
-        const alerts = readAlertDatabase();
-        let alertFound = false;
+        // Issued or updated since
+        if (filters.since) {
+            conditions.push("json_extract(data, '$.receivedAt') >= @since");
+            params.since = filters.since;
+        }
+
+        for (const [flag, value] of Object.entries(filters.flags || {})) {
+            conditions.push(`IFNULL(json_extract(data, '$.properties.${ALERT_FLAGS[flag]}'), 0) = @${flag}`);
+            params[flag] = value ? 1 : 0;
+        }
+
+        const where = conditions.join(' AND ');
+        const { total } = _database().prepare(`SELECT COUNT(*) AS total FROM alerts WHERE ${where}`).get(params);
+        const rows = database.prepare(`SELECT data FROM alerts WHERE ${where} ORDER BY row_id LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit: filters.limit ?? -1, offset: filters.offset ?? 0 });
+
+        return { total, alerts: rows.map(row => JSON.parse(row.data)) };
+    } catch (err) {
+        throw new Error('Error querying alerts: ' + err.message);
+    }
+}
 
-        let updatedAlert = null;
+function findArchivedAlert(id, store = 'operational') {
+    // Latest archived alert with this ID, null if there is none
+    try {
+        _checkStore(store);
+        const row = _database().prepare('SELECT data FROM archived_alerts WHERE store = ? AND id = ? ORDER BY row_id DESC LIMIT 1').get(store, id);
+        return row ? JSON.parse(row.data) : null;
+    } catch (err) {
+        throw new Error('Error finding archived alert: ' + err.message);
+    }
+}
 
-        const updatedAlerts = alerts.map(alert => {
-            if (_isMatchingAlert(alert, alertIdentity)) {
-                alertFound = true;
-                console.log(`Cancelling alert with identity ${_formatAlertIdentity(alertIdentity)}`);
+function searchArchivedAlerts(filters = {}, store = 'operational') {
+    // filters: { from, to, offices, phenomena, significance, eventTrackingNumbers, states, ugcs, bbox, text, limit, offset }
+    // List filters match any of their values, all filters must match
+    try {
+        _checkStore(store);
 
-                const updatedMessage = updatedData.message + "\n\n#####\n\n" + (alert.message || ''); // Prepend update message to original message
+        const conditions = ['store = @store'];
+        const params = { store };
+        const addList = (column, values, name, match) => _addListCondition(conditions, params, column, values, name, match);
 
-                const updatedProps = _getUpdatedProps(updatedMessage);
+        // In effect at any time between from and to
+        if (filters.from) {
+            conditions.push('ends_at >= @from');
+            params.from = filters.from;
+        }
+        if (filters.to) {
+            conditions.push('starts_at <= @to');
+            params.to = filters.to;
+        }
 
-                updatedAlert = {
-                    id: alert.id,
-                    productCode: alert.productCode,
-                    productName: alert.productName,
-                    receivedAt: new Date().toISOString(),
-                    expiresAt: alert.expiresAt,
-                    nwsOffice: alert.nwsOffice,
-                    vtec: updatedData.vtec,
-                    message: updatedMessage,
-                    geometry: updatedData.geometry, // Use updated geometry
-                    properties: updatedProps
-                };
+        addList('office_id', filters.offices, 'office');
+        addList('phenomena', filters.phenomena, 'phenomena');
+        addList('significance', filters.significance, 'significance');
+        addList('event_tracking_number', filters.eventTrackingNumbers, 'etn');
+        addList('states', filters.states?.map(state => `%,${state},%`), 'state', (param) => `states LIKE @${param}`);
+        addList('ugcs', filters.ugcs?.map(ugc => `%,${ugc},%`), 'ugc', (param) => `ugcs LIKE @${param}`);
 
-                return updatedAlert;
-            }
-            return alert;
-        });
+        if (filters.bbox) {
+            conditions.push('max_lon >= @minLon AND min_lon <= @maxLon AND max_lat >= @minLat AND min_lat <= @maxLat');
+            [params.minLon, params.minLat, params.maxLon, params.maxLat] = filters.bbox;
+        }
 
-        if (!alertFound) {
-            throw new Error(`Alert not found with identity ${_formatAlertIdentity(alertIdentity)}`);
+        if (filters.text) {
+            conditions.push(`search_text LIKE @text ESCAPE '\\'`);
+            params.text = `%${filters.text.toUpperCase().replace(/[\\%_]/g, '\\$&')}%`;
         }
 
-        fs.writeFileSync('alerts.json', JSON.stringify(updatedAlerts), 'utf8');
-        return updatedAlert;
+        const where = conditions.join(' AND ');
+        const { total } = _database().prepare(`SELECT COUNT(*) AS total FROM archived_alerts WHERE ${where}`).get(params);
+        const rows = database.prepare(`SELECT data FROM archived_alerts WHERE ${where} ORDER BY starts_at DESC, row_id DESC LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit: filters.limit ?? 50, offset: filters.offset ?? 0 });
+
+        return { total, alerts: rows.map(row => JSON.parse(row.data)) };
     } catch (err) {
-        throw new Error('Error canceling alert: ' + err.message);
+        throw new Error('Error searching archived alerts: ' + err.message);
     }
 }
 
@@ -243,12 +779,12 @@ function storeProduct(code, productData) {
         let json, filePath;
         try {
             json = JSON.stringify(productData);
-            filePath = `products/${code.toLowerCase()}.json`;
+            filePath = _dataPath(`products/${code.toLowerCase()}.json`);
         } catch (err) {
             json = String(productData);
-            filePath = `products/${code.toLowerCase()}.txt`;
+            filePath = _dataPath(`products/${code.toLowerCase()}.txt`);
         }
-        fs.mkdirSync('products', { recursive: true });
+        fs.mkdirSync(_dataPath('products'), { recursive: true });
         fs.writeFileSync(filePath, json, 'utf8');
     } catch (err) {
         throw new Error('Error storing product data: ' + err.message);
@@ -257,7 +793,7 @@ function storeProduct(code, productData) {
 
 function getProduct(code) {
     try {
-        const filePath = `products/${code.toLowerCase()}.json`;
+        const filePath = _dataPath(`products/${code.toLowerCase()}.json`);
         if (!fs.existsSync(filePath)) {
             throw new Error(`Product with code ${code} not found`);
         }
@@ -268,14 +804,51 @@ function getProduct(code) {
     }
 }
 
+function readIngestCheckpoint() {
+    // Last processed NWWS-OI stanza, used to request the history missed while disconnected
+    try {
+        const data = JSON.parse(fs.readFileSync(_dataPath('ingest_state.json'), 'utf8'));
+        return {
+            lastProcessedAt: data.lastProcessedAt || null,
+            processedStanzaIds: Array.isArray(data.processedStanzaIds) ? data.processedStanzaIds : []
+        };
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error('Error reading ingest checkpoint, starting without one:', err.message);
+        }
+        return { lastProcessedAt: null, processedStanzaIds: [] };
+    }
+}
+
+function writeIngestCheckpoint(checkpoint) {
+    try {
+        // Write to a temporary file first so a crash mid-write cannot corrupt the checkpoint
+        fs.writeFileSync(_dataPath('ingest_state.json.tmp'), JSON.stringify(checkpoint), 'utf8');
+        fs.renameSync(_dataPath('ingest_state.json.tmp'), _dataPath('ingest_state.json'));
+    } catch (err) {
+        throw new Error('Error writing ingest checkpoint: ' + err.message);
+    }
+}
+
 // Export the database functions
 export {
+    setDataDirectory,
     readAlertDatabase,
     addNewAlert,
     checkAndRemoveExpiredAlerts,
     deleteAlert,
     updateAlert,
     cancelAlert,
+    findAlert,
+    removeAlertUgcs,
+    upgradeAlert,
+    queryAlerts,
+    findAlertsAtPoint,
+    findArchivedAlert,
+    searchArchivedAlerts,
     storeProduct,
-    getProduct
+    getProduct,
+    readIngestCheckpoint,
+    writeIngestCheckpoint,
+    ALERT_FLAGS
 };
\ No newline at end of file
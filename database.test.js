@@ -0,0 +1,86 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import parseVTEC from './parsers/vtec.js';
+import { setDataDirectory, addNewAlert, updateAlert, cancelAlert, findAlert, findArchivedAlert, searchArchivedAlerts } from './database.js';
+
+// Statement of a Severe Thunderstorm Warning issued at the given UTC time, e.g. statement('CON', 'KBMX', '0101', '2026-10-18T20:10Z')
+function statement(action, officeId, eventTrackingNumber, issuedAt, properties = {}) {
+    const start = action === 'NEW' ? '261018T2000Z' : '000000T0000Z';
+    return {
+        id: `${officeId}-${eventTrackingNumber}`,
+        productCode: 'SVS',
+        productName: 'Severe Thunderstorm Warning',
+        issuedAt: new Date(issuedAt).toISOString(),
+        expiresAt: '2026-10-18T21:00:00.000Z',
+        nwsOffice: officeId,
+        vtec: parseVTEC(`/O.${action}.${officeId}.SV.W.${eventTrackingNumber}.${start}-261018T2100Z/`),
+        ugcs: ['ALC073', 'ALC117'],
+        message: `${action} statement`,
+        properties
+    };
+}
+
+function identity(officeId, eventTrackingNumber) {
+    return { officeId, phenomena: 'SV', significance: 'W', eventTrackingNumber };
+}
+
+before(() => {
+    setDataDirectory(fs.mkdtempSync(path.join(os.tmpdir(), 'sparkalerts-database-')));
+});
+
+beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('a cancelled alert is archived from the start of its NEW statement', () => {
+    addNewAlert(statement('NEW', 'KBMX', '0101', '2026-10-18T20:00Z'));
+    updateAlert(identity('KBMX', '0101'), statement('CON', 'KBMX', '0101', '2026-10-18T20:10Z'));
+    cancelAlert(identity('KBMX', '0101'), statement('CAN', 'KBMX', '0101', '2026-10-18T20:25Z'));
+
+    assert.equal(findAlert(identity('KBMX', '0101')), null);
+
+    const archived = findArchivedAlert('KBMX-0101');
+    assert.equal(archived.startsAt, '2026-10-18T20:00:00.000Z');
+    assert.equal(archived.endedAt, '2026-10-18T20:25:00.000Z');
+    assert.equal(archived.endReason, 'cancelled');
+    assert.deepEqual(archived.versions.map(version => version.action), ['NEW', 'CON', 'CAN']);
+});
+
+test('archived alerts are found by the time they were in effect', () => {
+    addNewAlert(statement('NEW', 'KHUN', '0202', '2026-10-18T20:00Z'));
+    cancelAlert(identity('KHUN', '0202'), statement('CAN', 'KHUN', '0202', '2026-10-18T20:30Z'));
+
+    const search = (from, to) => searchArchivedAlerts({ from, to, offices: ['KHUN'] }).alerts.map(alert => alert.id);
+
+    assert.deepEqual(search('2026-10-18T20:15:00.000Z', '2026-10-18T20:20:00.000Z'), ['KHUN-0202']);
+    assert.deepEqual(search('2026-10-18T19:00:00.000Z', '2026-10-18T20:00:00.000Z'), ['KHUN-0202']);
+    assert.deepEqual(search('2026-10-18T20:31:00.000Z', '2026-10-18T22:00:00.000Z'), []);
+
+    // Before the warning was issued, which the all-zero start of the CAN statement (1999-11-30) used to match
+    assert.deepEqual(search('2026-10-01T00:00:00.000Z', '2026-10-18T19:59:00.000Z'), []);
+});
+
+test('a correction is added after the statement it corrects, which is kept and linked to it', () => {
+    addNewAlert(statement('NEW', 'KJAN', '0303', '2026-10-18T20:00Z', { maxHail: 1.0 }));
+    const corrected = updateAlert(identity('KJAN', '0303'), statement('COR', 'KJAN', '0303', '2026-10-18T20:03Z', { maxHail: 1.75, isCorrection: true }));
+
+    assert.deepEqual(corrected.versions.map(version => version.action), ['NEW', 'COR']);
+    assert.deepEqual(corrected.versions[0].correctedBy, { action: 'COR', issuedAt: '2026-10-18T20:03:00.000Z' });
+    assert.equal(corrected.versions[0].properties.maxHail, 1.0);
+    assert.equal(corrected.versions[1].correctedBy, undefined);
+    assert.equal(corrected.properties.maxHail, 1.75);
+    assert.equal(corrected.message, 'COR statement');
+});
+
+test('a CCA re-send of a NEW statement keeps the original one in the history', () => {
+    addNewAlert(statement('NEW', 'KMOB', '0404', '2026-10-18T20:00Z'));
+    updateAlert(identity('KMOB', '0404'), statement('NEW', 'KMOB', '0404', '2026-10-18T20:02Z', { isCorrection: true }));
+    const continued = updateAlert(identity('KMOB', '0404'), statement('CON', 'KMOB', '0404', '2026-10-18T20:20Z'));
+
+    assert.deepEqual(continued.versions.map(version => [version.action, Boolean(version.correctedBy)]), [['NEW', true], ['NEW', false], ['CON', false]]);
+    assert.equal(continued.versions[0].correctedBy.issuedAt, '2026-10-18T20:02:00.000Z');
+});
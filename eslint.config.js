@@ -0,0 +1,23 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+    {
+        ignores: ['node_modules/', 'public/', 'demo/', 'products/', 'archive/', 'data/']
+    },
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: globals.node
+        },
+        rules: {
+            'no-unused-vars': ['error', { caughtErrors: 'none', ignoreRestSiblings: true }],
+            'no-empty': ['error', { allowEmptyCatch: true }],
+            // Product text is matched with regexes full of escaped "/" and "." and NWWS framing characters
+            'no-useless-escape': 'off',
+            'no-control-regex': 'off'
+        }
+    }
+];
@@ -1,7 +1,12 @@
 // Import components
 import NWWSOI from "./nwwsoi.js";
 import API from "./api.js";
+import XMPPSource from "./sources/xmpp_source.js";
+import DirectorySource from "./sources/directory_source.js";
+import StreamSource from "./sources/stream_source.js";
+import ArchiveSource from "./sources/archive_source.js";
 import { checkAndRemoveExpiredAlerts } from './database.js';
+import { getArchiveSettings, pruneArchive } from './archive.js';
 
 // Import configuration from config.json file
 import fs from 'fs';
@@ -12,20 +17,68 @@ catch (err) { console.error('Error loading config.json:', err.message); process.
 // Start API server
 const apiServer = new API(config?.api?.port || config?.expressPort || 3000, {
     allowNoOrigin: config?.allowNoOrigin ?? false,
-    domainWhitelist: Array.isArray(config?.domainWhitelist) ? config.domainWhitelist : []
+    domainWhitelist: Array.isArray(config?.domainWhitelist) ? config.domainWhitelist : [],
+    includeTestProducts: config?.products?.include_test_products ?? false
 });
 
+// Pick where products come from: the live NWWS-OI feed (default), a directory replay or a text stream
+function createIngestSource(ingestConfig = {}) {
+    switch (ingestConfig.source || 'xmpp') {
+        case 'xmpp':
+            return new XMPPSource(config?.nwwsoi || {});
+        case 'directory':
+            return new DirectorySource(ingestConfig);
+        case 'stream':
+            return new StreamSource(ingestConfig);
+        case 'archive':
+            return new ArchiveSource({ path: getArchiveSettings(config?.archive).directory, ...ingestConfig });
+        default:
+            console.error('Unknown ingest source in config.json:', ingestConfig.source);
+            process.exit(1);
+    }
+}
+
 // Start the NWWSOI client listener
+const ingestSource = createIngestSource(config?.ingest || {});
 const nwwsoiClient = new NWWSOI(config?.products || {}, {
-    onNew: (alert) => apiServer.triggerNewAlertEvent(alert),
-    onUpdate: (alert) => apiServer.triggerUpdateAlertEvent(alert)
-});
+    // Test products (VTEC class T/E/X) only go to the test stream
+    onNew: (alert, store) => store === 'test' ? apiServer.triggerTestAlertEvent('NEW', alert) : apiServer.triggerNewAlertEvent(alert),
+    onUpdate: (alert, store) => store === 'test' ? apiServer.triggerTestAlertEvent('UPDATE', alert) : apiServer.triggerUpdateAlertEvent(alert),
+    onProduct: (eventType, data) => apiServer.triggerProductEvent(eventType, data)
+}, ingestSource, config?.ingest?.source === 'archive' ? { ...config?.archive, enabled: false } : config?.archive || {});
+
+// Report the ingest source state on the API status endpoint
+apiServer.setIngestStatusProvider(() => nwwsoiClient.getConnectionState());
+
+// Stop the ingest source on shutdown so it can save its state (e.g. the NWWS-OI checkpoint)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+        Promise.resolve(ingestSource.stop())
+            .catch((err) => console.error('Error stopping ingest source:', err.message))
+            .finally(() => process.exit(0));
+    });
+}
 
 // Check for expired alerts every 30 seconds
 setInterval(() => {
     try {
         checkAndRemoveExpiredAlerts();
+        if (config?.products?.include_test_products) {
+            checkAndRemoveExpiredAlerts('test');
+        }
     } catch (err) {
         console.error('Error checking/removing expired alerts:', err.message);
     }
-}, 30 * 1000);
\ No newline at end of file
+}, 30 * 1000);
+
+// Remove archived products past the retention period, at startup and every hour
+const archiveSettings = getArchiveSettings(config?.archive);
+function pruneProductArchive() {
+    try {
+        pruneArchive(archiveSettings.directory, archiveSettings.retentionDays);
+    } catch (err) {
+        console.error('Error pruning product archive:', err.message);
+    }
+}
+pruneProductArchive();
+setInterval(pruneProductArchive, 60 * 60 * 1000);
@@ -1,20 +1,23 @@
-// Import XMPP client
-import { client, xml } from '@xmpp/client';
-
-// Import dotenv to load environment variables
-import dotenv from 'dotenv';
-dotenv.config();
-
 // Import filesystem for lookups
 import fs from 'fs';
+import crypto from 'crypto';
 
 // Import parsers
 import CAPParser from './parsers/cap_parser.js';
 import WMOParser from './parsers/wmo_parser.js';
-import parseCOD from './parsers/special/cod.js';
+import { getSpecialProduct } from './parsers/special/index.js';
+
+// Import geometry lookups
+import { loadCountyGeometry, loadZoneGeometry, buildUgcGeometry, buildAreaDesc } from './utils/ugc-geometry.js';
+
+// Import storm track projection
+import { buildStormTrack } from './utils/storm-track.js';
 
 // Import database worker
-import { addNewAlert, deleteAlert, updateAlert, cancelAlert, storeProduct } from './database.js';
+import { addNewAlert, deleteAlert, updateAlert, cancelAlert, findAlert, removeAlertUgcs, upgradeAlert, storeProduct, getProduct } from './database.js';
+
+// Import raw product archive
+import { getArchiveSettings, archiveStanza } from './archive.js';
 
 
 // Function to check if message is a CAP message based on TTAII code
@@ -25,8 +28,13 @@ function isCapMessage(ttaaii) {
 }
 
 // Main 
+// Processing pipeline for NWWS-OI products; the products come from an ingest source (see sources/)
 export default class NWWSOI {
-    constructor(productsConfig, callbacks = { onNew: () => {}, onUpdate: () => {} }) {
+    constructor(productsConfig, callbacks = { onNew: () => {}, onUpdate: () => {} }, source, archiveConfig = {}) {
+        this.callbacks = callbacks;
+        this.source = source;
+        this.archive = getArchiveSettings(archiveConfig);
+
         // Store the productFilter and ensure proper case
         this.productFilter = productsConfig?.allowed_products || [];
         this.productFilter = this.productFilter.map(code => code.toUpperCase());
@@ -34,214 +42,444 @@ export default class NWWSOI {
         // Store other configurations
         this.requireGeometry = productsConfig?.require_geometry || false;
 
+        // Test, experimental and exercise products (VTEC class T/E/X) are dropped unless enabled,
+        // and then go to their own store and SSE stream so they never reach users as real alerts
+        this.includeTestProducts = productsConfig?.include_test_products || false;
+
+        // The same issuance arrives as both a text product and a CAP message, remember which were handled
+        this.recentIssuances = new Map();
+
+        // NWWS sometimes delivers the exact same product twice, remember the hashes of recent products
+        this.recentProductHashes = new Map();
+
         // Load lookup tables
         this.productCodes = JSON.parse(fs.readFileSync('./lookups/product-codes.json', 'utf8'));
+        loadCountyGeometry();
+        loadZoneGeometry();
 
-        // Store demo outputs for all product codes
-        this.demoDir = './demo';
-        this.messageCounter = 0;
-        fs.mkdirSync(this.demoDir, { recursive: true });
-
-        this.xmpp = client({
-            service: 'xmpp://nwws-oi.weather.gov',
-            domain: 'nwws-oi.weather.gov',
-            resource: 'SparkAlerts NWWS Ingest',
-            username: process.env.XMPP_USERNAME,
-            password: process.env.XMPP_PASSWORD,
-        });
-
-        this.xmpp.on('error', (err) => {
-            console.error('XMPP Error:', err);
-        });
-
-        this.xmpp.on('online', async (address) => {
-            console.log('Connected as', address.toString(), '\n');
-
-            // Join chatroom
-            const presence = xml( 'presence', { to: 'nwws@conference.nwws-oi.weather.gov/SparkRadar' });
-            await this.xmpp.send(presence);
-        });
-
-        this.xmpp.on('stanza', (stanza) => {
-            if (stanza.is('message') && stanza.attrs.type === 'groupchat') {
-
-                const messageText = stanza.getChildText('body');
-                const productInfo = this._identifyProductFromMessage(messageText);
-                const nwsOffice = stanza.getChild('x', 'nwws-oi')?.attrs?.cccc || null;
-                const ttaaii = stanza.getChild('x', 'nwws-oi')?.attrs?.ttaaii || null;
-                const isCap = isCapMessage(ttaaii || '');
-
-                if (!productInfo || !productInfo.productName) {
-                    // productName will be null if product code is not found in lookups
-                    return;
-                } else if (this.productFilter.length > 0 && !this.productFilter.includes(productInfo.productCode)) {
-                    // If product filter is set and this product code is not in the filter, skip processing
-                    console.log('Skipping product', productInfo.productName, 'as it is not in the filter list\n');
-                    return;
-                }
+        // Products from every source run through the same pipeline
+        this.source.start((stanza) => this._receiveStanza(stanza));
+    }
 
-                // Run the parser depending on if this is a CAP or plain text message
-                const parser = isCap ? new CAPParser(stanza) : new WMOParser(stanza);
+    _receiveStanza(stanza) {
+        // Archive every product before filtering, so anything can be replayed later
+        if (this.archive.enabled) {
+            try {
+                // Stanzas from the chatroom history keep the time they were originally sent
+                const delayStamp = stanza.getChild('delay', 'urn:xmpp:delay')?.attrs?.stamp;
+                const receivedAt = delayStamp && !isNaN(new Date(delayStamp).getTime()) ? new Date(delayStamp) : new Date();
+                archiveStanza(this.archive.directory, stanza, receivedAt);
+            } catch (err) {
+                console.error(err.message);
+            }
+        }
 
-                // Log only CAP messages so I can add CAP parsing logic later
-                if (isCap && productInfo.productCode) {
-                    const productDir = `${this.demoDir}/${productInfo.productCode}`;
-                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                    const demoPath = `${productDir}/${timestamp}-${++this.messageCounter}.txt`;
+        this._processProductStanza(stanza);
+    }
 
-                    fs.mkdirSync(productDir, { recursive: true });
-                    fs.writeFileSync(demoPath, stanza.toString(), 'utf8');
+    getConnectionState() {
+        return this.source.getState();
+    }
 
-                    console.warn("CAP messages not yet supported. Saved message to", demoPath);
-                    return;
-                }
+    _processProductStanza(stanza) {
+        const messageText = stanza.getChildText('body');
+        const productInfo = this._identifyProductFromMessage(messageText);
+        const nwsOffice = stanza.getChild('x', 'nwws-oi')?.attrs?.cccc || null;
+        const ttaaii = stanza.getChild('x', 'nwws-oi')?.attrs?.ttaaii || null;
+        const isCap = isCapMessage(ttaaii || '');
+
+        if (!productInfo || !productInfo.productName) {
+            // productName will be null if product code is not found in lookups
+            return;
+        } else if (this.productFilter.length > 0 && !this.productFilter.includes(productInfo.productCode)) {
+            // If product filter is set and this product code is not in the filter, skip processing
+            console.log('Skipping product', productInfo.productName, 'as it is not in the filter list\n');
+            return;
+        }
 
-                // Check if this is a special product
-                if (productInfo.productCode === 'COD') {
-                    // Coded surface analysis: fronts, pressure centers, and troughs
-                    const parsed = parseCOD(messageText.split('\n'));
-
-                    // Store the product
-                    try {
-                        storeProduct('cod', parsed);
-                    } catch (err) {
-                        console.error('Error storing COD product:', err.message);
-                    }
-                    
-                    return;
-                } else if (productInfo.productCode === 'SWO') {
-                    // Severe weather outlook narrative + mesoscale discussions (testing)
-                    const parsed = String(messageText)
-
-                    // Store the product
-                    try {
-                        storeProduct('swo', parsed);
-                    } catch (err) {
-                        console.error('Error storing SWO product:', err.message);
-                    }
-
-                    return;
-                }
+        // Drop byte-identical re-sends
+        const productHash = crypto.createHash('sha256').update(stanza.getChildText('x') || '').digest('hex');
+        if (this._seenRecently(this.recentProductHashes, productHash)) {
+            console.log('Skipping', productInfo.productName, 'from', nwsOffice, 'as the same product was already received\n');
+            return;
+        }
 
-                // Extract additional parsed properties
-                const geometry = parser.getProperty('geometry') || null;
+        // Run the parser depending on if this is a CAP or plain text message
+        const parser = isCap ? new CAPParser(stanza) : new WMOParser(stanza);
 
-                // If geometry is required for this product but the parser was not able to extract it, skip this message
-                if (this.requireGeometry && !geometry) {
-                    console.warn('Skipping', productInfo.productName, 'contains null geometry\n');
-                    return;
-                }
+        // Special products (COD, SWO, ...) are stored whole instead of becoming alerts
+        // unless the handler lists the product code as an alert product too (watch WOU/WCN)
+        const specialProduct = getSpecialProduct(productInfo.productCode, parser.getProperty('awipsId'));
+        if (specialProduct) {
+            this._processSpecialProduct(specialProduct, stanza, parser);
+            if (!specialProduct.alertProductCodes?.includes(productInfo.productCode)) {
+                return;
+            }
+        }
+
+        // Process each UGC segment on its own since segments can carry different zones and VTEC actions
+        const touchedEvents = new Set();
+        for (const segment of parser.getSegments()) {
+            this._processSegment(segment, productInfo, nwsOffice, isCap, touchedEvents);
+        }
+    }
+
+    _processSpecialProduct(handler, stanza, parser) {
+        const code = handler.code;
+
+        let previous = null;
+        try {
+            previous = getProduct(handler.storageKey);
+        } catch {
+            // Nothing stored yet
+        }
+
+        let parsed;
+        try {
+            parsed = handler.parse(stanza.getChildText('x') || '', {
+                parser,
+                officeCode: parser.getProperty('officeCode'),
+                awipsId: parser.getProperty('awipsId'),
+                issuedAt: parser.getProperty('issuedAt'),
+                previous
+            });
+        } catch (err) {
+            console.error(`Error parsing ${code} product:`, err.message);
+            return;
+        }
+
+        if (parsed === null || parsed === undefined) {
+            return;
+        }
+
+        // Store the product
+        try {
+            storeProduct(handler.storageKey, parsed);
+            console.log(`Stored ${code} product\n`);
+        } catch (err) {
+            console.error(`Error storing ${code} product:`, err.message);
+            return;
+        }
+
+        // Let subscribers know, for products that have their own SSE event (one product can update several entities)
+        const events = handler.getEvent ? [].concat(handler.getEvent(parsed) || []) : [];
+        for (const event of events) {
+            this.callbacks.onProduct?.(event.type, event.data);
+        }
+    }
+
+    _processSegment(segment, productInfo, nwsOffice, isCap, touchedEvents) {
+        // Extract additional parsed properties
+        // Fall back to county shapes when the segment has no LAT...LON polygon
+        const { geometry, geometrySource } = this._resolveGeometry(segment);
+
+        // If geometry is required for this product but the parser was not able to extract it, skip this segment
+        if (this.requireGeometry && !geometry) {
+            console.warn('Skipping', productInfo.productName, 'contains null geometry\n');
+            return;
+        }
+
+        // Skip the CAP (or text) twin of a product that was already processed
+        if (this._isDuplicateIssuance(segment)) {
+            console.log('Skipping', productInfo.productName, 'from', nwsOffice, 'as it was already processed\n');
+            return;
+        }
+
+        // CAP messages say whether they are real (Actual) or Test, Exercise, System, ... messages
+        const status = isCap ? segment.getProperty('status') : null;
+
+        // Log some details
+        console.log(productInfo.productName, 'from', nwsOffice, '- segment', segment.getProperty('segmentIndex') ?? 0);
+        console.log('Is CAP Message:', isCap);
+        console.log('VTEC:', segment.getProperty('vtecList'));
+        console.log('Geometry:', geometry ? `${geometry.type} from ${geometrySource}` : null);
+        console.log('\n')
+
+        // Each VTEC line in a segment is its own event (e.g. CAN of a watch alongside NEW of a warning)
+        const vtecList = segment.getProperty('vtecList') || [];
+        if (vtecList.length === 0) {
+            if (this._isTestProduct(null, status) && !this.includeTestProducts) {
+                console.log('Skipping CAP', status, 'message as test products are not enabled\n');
+                return;
+            }
+            this._addAlert(this._buildAlertData(segment, productInfo, nwsOffice, null), this._alertStore(null, status));
+            return;
+        }
+
+        // Upgrades go last so the event they were upgraded to is already stored and can be linked
+        const ordered = [...vtecList.filter(vtec => vtec.actionCode !== 'UPG'), ...vtecList.filter(vtec => vtec.actionCode === 'UPG')];
+        for (const vtec of ordered) {
+            if (this._isTestProduct(vtec, status) && !this.includeTestProducts) {
+                console.log('Skipping', vtec.vtecString || vtec.productClass, 'as test products are not enabled\n');
+                continue;
+            }
+
+            const alertData = this._buildAlertData(segment, productInfo, nwsOffice, this._watchEventVtec(vtec));
+            const store = this._alertStore(vtec, status);
+            if (vtec.actionCode === 'UPG') {
+                this._applyUpgrade(alertData, vtecList, store);
+            } else {
+                this._applyVtecAction(alertData, touchedEvents, store);
+            }
+        }
+    }
 
-                // Log some details
-                console.log(productInfo.productName, 'from', nwsOffice);
-                console.log('Is CAP Message:', isCap);
-                console.log('VTEC:', parser.getProperty('vtec'));
-                //console.log('Extracted message:', parser.getMessage());
-                console.log('Geometry:', geometry);
-                //console.log('Content:', stanza.getChildText('x'));
-                //console.log('Full Stanza:', stanza.toString());
-                console.log('\n')
-
-                const vtec = parser.getProperty('vtec');
-
-                const alertData = {
-                    id: parser.getProperty('id'),
-                    productCode: productInfo.productCode,
-                    productName: productInfo.productName,
-                    receivedAt: new Date().toISOString(),
-                    expiresAt: parser.getProperty('expiration') || new Date(Date.now() + 3600000).toISOString(), // Default to 1 hour if no expiration provided
-                    nwsOffice: nwsOffice,
-                    vtec: vtec,
-                    message: parser.getRawMessage(),
-                    geometry: geometry,
-                    properties: {
-                        isPds: parser.getProperty('isPds') || false,
-                        isConsiderable: parser.getProperty('isConsiderable') || false,
-                        isDestructive: parser.getProperty('isDestructive') || false,
-                        isEmergency: parser.getProperty('isEmergency') || false,
-                        isTorPossible: parser.getProperty('isTorPossible') || false,
-                        isTorConfirmed: parser.getProperty('isTorConfirmed') || false,
-                        isTorRadarIndicated: parser.getProperty('isTorRadarIndicated') || false,
-                    }
-                };
-
-                // Check alert action from VTEC
-                if (vtec) {
-                    // If no VETC we will default to "NEW"
-                    const action = vtec.actionCode || 'NEW';
-                    const alertIdentity = {
-                        officeId: vtec.officeId,
-                        phenomena: vtec.phenomena,
-                        significance: vtec.significance,
-                        eventTrackingNumber: vtec.eventTrackingNumber
-                    };
-
-                    // NEW = New event
-                    // CON = Continuation (same event, updated information)
-                    // EXT = Extension (extended expiration time)
-                    // EXA = Extension (extended area)
-                    // EXB = Extension (extended time and area)
-                    // UPG = Upgrade (uncommon)
-                    // CAN = Cancellation (partial, uses update)
-                    // EXP = Expiration
-                    // COR = Correction
-                    // ROU = Routine message (uncommon)
-
-                    if (action === 'EXP') {
-                        // Full expiration - remove alert from database
-                        try {
-                            deleteAlert(alertIdentity);
-                            callbacks.onUpdate();
-                        } catch (err) {
-                            if (err.message.includes('Alert not found')) {
-                                console.warn('Attempted to delete alert that does not exist in database:', err.message);
-                            } else {
-                                console.error('Error deleting alert from database:', err.message);
-                            }
-                        }
-                        return;
-                    } else if (action === 'CAN') {
-                        // Partial cancellation - update alert with cancellation message
-                        try {
-                            const cancelledAlert = cancelAlert(alertIdentity, alertData);
-                            callbacks.onUpdate(cancelledAlert);
-                        } catch (err) {
-                            if (err.message.includes('Alert not found')) {
-                                console.warn('Attempted to cancel alert that does not exist in database:', err.message);
-                            } else {
-                                console.error('Error cancelling alert in database:', err.message);
-                            }
-                        }
-                        return;
-                    } else if (action === 'ROU') {
-                        return; // Ignore routine messages as they are not actual alerts
-                    } else if (action !== 'NEW') {
-                        // Some sort of update - update the existing alert in the database with new information
-                        const eventTrackingNumber = parser.getProperty('vtec')?.eventTrackingNumber;
-                        console.log(`Attempting to ${action} alert with eventTrackingNumber: ${eventTrackingNumber}`);
-                        try {
-                            const updatedAlert = updateAlert(alertIdentity, alertData);
-                            callbacks.onUpdate(updatedAlert);
-                            return;
-                        } catch (err) {
-                            console.warn('Failed to update alert:', err.message, '- Adding as new alert instead');
-                            // Fall through to add as new alert
-                        }
-                    }
+    _applyUpgrade(alertData, vtecList, store) {
+        // An upgrade is sent as a pair in the same segment, e.g. /O.UPG.KBMX.WS.A.0003.../ and /O.NEW.KBMX.WS.W.0005.../
+        const vtec = alertData.vtec;
+        const successorVtec = vtecList.find(other => other !== vtec
+            && ['NEW', 'EXA', 'EXB', 'EXT', 'CON'].includes(other.actionCode)
+            && other.officeId === vtec.officeId
+            && other.productClass === vtec.productClass);
+
+        try {
+            const { alert, successor } = upgradeAlert(this._alertIdentity(vtec), successorVtec ? this._alertIdentity(successorVtec) : null, alertData, store);
+            this.callbacks.onUpdate(alert, store);
+            if (successor) {
+                this.callbacks.onUpdate(successor, store);
+            }
+        } catch (err) {
+            if (err.message.includes('Alert not found')) {
+                console.warn('Attempted to upgrade alert that does not exist in database:', err.message);
+            } else {
+                console.error('Error upgrading alert in database:', err.message);
+            }
+        }
+    }
+
+    _watchEventVtec(vtec) {
+        // A watch is one event: SPC issues it (WOU, KWNS) and local offices clear counties from it (WCN, under their own office),
+        // so the local VTEC is applied to the KWNS event; the office that sent it is kept in issuingOfficeId
+        if (vtec.significance !== 'A' || !['TO', 'SV'].includes(vtec.phenomena) || vtec.officeId === 'KWNS') {
+            return vtec;
+        }
+        return { ...vtec, officeId: 'KWNS', issuingOfficeId: vtec.officeId };
+    }
+
+    _alertIdentity(vtec) {
+        return {
+            officeId: vtec.officeId,
+            phenomena: vtec.phenomena,
+            significance: vtec.significance,
+            eventTrackingNumber: vtec.eventTrackingNumber
+        };
+    }
+
+    _isTestProduct(vtec, status = null) {
+        // Test, experimental and exercise VTEC classes, or a CAP status other than Actual
+        return Boolean((vtec?.productClass && vtec.productClass !== 'O') || (status && status !== 'Actual'));
+    }
+
+    _alertStore(vtec, status = null) {
+        return this._isTestProduct(vtec, status) ? 'test' : 'operational';
+    }
+
+    _resolveGeometry(segment) {
+        const polygon = segment.getProperty('geometry');
+        if (polygon) {
+            return { geometry: polygon, geometrySource: 'polygon' };
+        }
+
+        // Fire weather products are issued for fire zones, which have their own shapes
+        const preferFireZones = segment.getProperty('vtec')?.phenomena === 'FW';
+        return buildUgcGeometry(segment.getProperty('ugcs'), { preferFireZones }) || { geometry: null, geometrySource: null };
+    }
+
+    _buildAlertData(segment, productInfo, nwsOffice, vtec) {
+        // The segment ID is built from its primary VTEC, other events in the segment need their own
+        const id = vtec ? `${segment.getProperty('officeCode')}-${segment.getProperty('awipsId')}-${vtec.phenomena}.${vtec.significance}.${vtec.eventTrackingNumber}` : segment.getProperty('id');
+        const { geometry, geometrySource } = this._resolveGeometry(segment);
+
+        // Note the times that were guessed, including the default expiration
+        const expiresAt = vtec?.endTimeISO || segment.getProperty('expiration');
+        const timeGuesses = [...(segment.getProperty('timeGuesses') || []), ...(expiresAt ? [] : ['expiresAt'])];
+        if (timeGuesses.length > 0) {
+            console.warn('Guessed', timeGuesses.join(', '), 'for', productInfo.productName, 'from', nwsOffice);
+        }
+
+        return {
+            id: id,
+            productCode: productInfo.productCode,
+            productName: productInfo.productName,
+            issuedAt: segment.getProperty('issuedAt') || null,
+            receivedAt: new Date().toISOString(),
+            expiresAt: expiresAt || new Date(Date.now() + 3600000).toISOString(), // Default to 1 hour if no expiration provided
+            nwsOffice: nwsOffice,
+            vtec: vtec,
+            ugcs: segment.getProperty('ugcs') || [],
+            fips: segment.getProperty('fips') || [],
+            purgeTime: segment.getProperty('purgeTime') || null,
+            areaDesc: segment.getProperty('areaDesc') || buildAreaDesc(segment.getProperty('ugcs')),
+            message: segment.getRawMessage(),
+            geometry: geometry,
+            geometrySource: geometrySource,
+            stormTrack: buildStormTrack(segment.getProperty('timeMotLoc'), geometry),
+            properties: {
+                isPds: segment.getProperty('isPds') || false,
+                isConsiderable: segment.getProperty('isConsiderable') || false,
+                isDestructive: segment.getProperty('isDestructive') || false,
+                isEmergency: segment.getProperty('isEmergency') || false,
+                isTorPossible: segment.getProperty('isTorPossible') || false,
+                isTorConfirmed: segment.getProperty('isTorConfirmed') || false,
+                isTorRadarIndicated: segment.getProperty('isTorRadarIndicated') || false,
+                isWaterspoutPossible: segment.getProperty('isWaterspoutPossible') || false,
+                // Typed IBW tags (hailThreat, maxHail, maxWind, ...) and the storm motion
+                ...segment.getProperty('ibwTags'),
+                timeMotLoc: segment.getProperty('timeMotLoc') || null,
+                timeGuesses,
+                // Corrections replace the statement they correct (VTEC COR or a CCA/CCB heading)
+                isCorrection: vtec?.actionCode === 'COR' || segment.getProperty('isCorrection') || false,
+                // Tornado and severe thunderstorm watches are numbered by their event tracking number (see /product/WATCH)
+                watchNumber: vtec?.significance === 'A' && ['TO', 'SV'].includes(vtec.phenomena) ? parseInt(vtec.eventTrackingNumber, 10) : null
+            },
+            // Links to the events this one was upgraded from or to (VTEC UPG)
+            supersedes: [],
+            supersededBy: []
+        };
+    }
+
+    _applyVtecAction(alertData, touchedEvents, store) {
+        const vtec = alertData.vtec;
+
+        // If no VETC action we will default to "NEW"
+        const action = vtec.actionCode || 'NEW';
+        const alertIdentity = this._alertIdentity(vtec);
+        const eventKey = `${store}.${vtec.officeId}.${vtec.phenomena}.${vtec.significance}.${vtec.eventTrackingNumber}`;
+        const existingAlert = findAlert(alertIdentity, store);
+
+        // NEW = New event
+        // CON = Continuation (same event, updated information)
+        // EXT = Extension (extended expiration time)
+        // EXA = Extension (extended area)
+        // EXB = Extension (extended time and area)
+        // UPG = Upgrade (handled by _applyUpgrade)
+        // CAN = Cancellation (partial, uses update)
+        // EXP = Expiration
+        // COR = Correction
+        // ROU = Routine message (uncommon)
+
+        if ((action === 'EXP' || action === 'CAN') && existingAlert) {
+            // The segment may only end the event for some of its zones
+            const remainingUgcs = (existingAlert.ugcs || []).filter(ugc => !alertData.ugcs.includes(ugc));
+            if (alertData.ugcs.length > 0 && remainingUgcs.length > 0) {
+                if (remainingUgcs.length === (existingAlert.ugcs || []).length) {
+                    return; // None of these zones are part of the stored alert
                 }
 
-                // Push this alert to the database
                 try {
-                    addNewAlert(alertData);
-                    callbacks.onNew(alertData);
-                    console.log('Successfully stored alert in database\n');
+                    const updatedAlert = removeAlertUgcs(alertIdentity, alertData, store);
+                    this.callbacks.onUpdate(updatedAlert, store);
                 } catch (err) {
-                    console.error('Error saving alert to database:', err.message);
+                    console.error('Error removing zones from alert in database:', err.message);
+                }
+                return;
+            }
+        }
+
+        if (action === 'EXP') {
+            // Full expiration - remove alert from database
+            try {
+                deleteAlert(alertIdentity, store);
+                this.callbacks.onUpdate(undefined, store);
+            } catch (err) {
+                if (err.message.includes('Alert not found')) {
+                    console.warn('Attempted to delete alert that does not exist in database:', err.message);
+                } else {
+                    console.error('Error deleting alert from database:', err.message);
+                }
+            }
+            return;
+        } else if (action === 'CAN') {
+            // Cancellation of the remaining area - update alert with cancellation message
+            try {
+                const cancelledAlert = cancelAlert(alertIdentity, alertData, store);
+                this.callbacks.onUpdate(cancelledAlert, store);
+            } catch (err) {
+                if (err.message.includes('Alert not found')) {
+                    console.warn('Attempted to cancel alert that does not exist in database:', err.message);
+                } else {
+                    console.error('Error cancelling alert in database:', err.message);
+                }
+            }
+            return;
+        } else if (action === 'ROU') {
+            return; // Ignore routine messages as they are not actual alerts
+        } else if (action !== 'NEW' || existingAlert) {
+            // Some sort of update (or another segment of a NEW event) - update the existing alert in the database
+            console.log(`Attempting to ${action} alert with eventTrackingNumber: ${vtec.eventTrackingNumber}`);
+
+            if (existingAlert) {
+                // Keep the zones listed in the event's other segments
+                alertData.ugcs = Array.from(new Set([...(existingAlert.ugcs || []), ...alertData.ugcs]));
+                alertData.areaDesc = buildAreaDesc(alertData.ugcs) || alertData.areaDesc;
+                if (alertData.geometrySource !== 'polygon') {
+                    Object.assign(alertData, buildUgcGeometry(alertData.ugcs, { preferFireZones: vtec.phenomena === 'FW' }) || {});
+                }
+
+                // Segments of the same product can end at different times, the event lasts until the latest
+                if (touchedEvents.has(eventKey) && new Date(existingAlert.expiresAt) > new Date(alertData.expiresAt)) {
+                    alertData.expiresAt = existingAlert.expiresAt;
                 }
             }
-        });
 
-        this.xmpp.start().catch(console.error);
+            try {
+                const updatedAlert = updateAlert(alertIdentity, alertData, store);
+                touchedEvents.add(eventKey);
+                this.callbacks.onUpdate(updatedAlert, store);
+                return;
+            } catch (err) {
+                console.warn('Failed to update alert:', err.message, '- Adding as new alert instead');
+                // Fall through to add as new alert
+            }
+        }
+
+        touchedEvents.add(eventKey);
+        this._addAlert(alertData, store);
+    }
+
+    _addAlert(alertData, store = 'operational') {
+        // Push this alert to the database
+        try {
+            addNewAlert(alertData, store);
+            this.callbacks.onNew(alertData, store);
+            console.log('Successfully stored alert in database\n');
+        } catch (err) {
+            console.error('Error saving alert to database:', err.message);
+        }
+    }
+
+    _isDuplicateIssuance(parser) {
+        // Text and CAP versions share the WMO heading (e.g. WFUS54 KBMX 172343) and VTEC
+        const wmoHeader = parser.getProperty('wmoHeader');
+        const dateTime = parser.getProperty('dateTime');
+        if (!wmoHeader || !dateTime) {
+            return false;
+        }
+
+        // Corrections (CCA, CCB, ...) keep the heading of the product they correct, the BBB indicator tells them apart
+        // Segments of one product share the heading (and often their VTEC), so their zones and VTEC tell them apart
+        const ugcs = [...(parser.getProperty('ugcs') || [])].sort().join(',');
+        const vtecStrings = (parser.getProperty('vtecList') || []).map((vtec) => vtec.vtecString).join(',');
+        const key = [wmoHeader, parser.getProperty('officeCode'), dateTime, parser.getProperty('bbb') || '', parser.getProperty('awipsId'), ugcs, vtecStrings].join(' ');
+        return this._seenRecently(this.recentIssuances, key);
+    }
+
+    _seenRecently(seen, key) {
+        const now = Date.now();
+
+        // Forget keys older than an hour
+        for (const [seenKey, seenAt] of seen) {
+            if (now - seenAt > 3600000) {
+                seen.delete(seenKey);
+            }
+        }
+
+        if (seen.has(key)) {
+            return true;
+        }
+
+        seen.set(key, now);
+        return false;
     }
 
     _getProductName(product) {
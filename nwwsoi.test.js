@@ -0,0 +1,201 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import NWWSOI from './nwwsoi.js';
+import { buildProductStanza } from './sources/product_stanza.js';
+import { setDataDirectory, readAlertDatabase, getProduct, findAlert, findArchivedAlert } from './database.js';
+
+// Products are fed straight into the pipeline through a source that never connects anywhere
+class ManualSource {
+    start(onStanza) {
+        this.onStanza = onStanza;
+    }
+
+    stop() {}
+
+    getState() {
+        return { source: 'manual' };
+    }
+}
+
+function createPipeline(productsConfig = {}) {
+    const source = new ManualSource();
+    const events = [];
+    const pipeline = new NWWSOI(productsConfig, {
+        onNew: (alert, store) => events.push({ type: 'NEW', alert, store }),
+        onUpdate: (alert, store) => events.push({ type: 'UPDATE', alert, store }),
+        onProduct: (type, data) => events.push({ type, data })
+    }, source, { enabled: false });
+
+    return { pipeline, events, send: (text) => source.onStanza(buildProductStanza(text)) };
+}
+
+// ddhhmm for WMO headings and UGC purge times, yymmddThhnnZ for VTEC
+function dayTime(date) {
+    return date.toISOString().replace(/^.*-(\d{2})T(\d{2}):(\d{2}).*$/, '$1$2$3');
+}
+
+function vtecTime(date) {
+    return date.toISOString().replace(/^\d{2}(\d{2})-(\d{2})-(\d{2})T(\d{2}):(\d{2}).*$/, '$1$2$3T$4$5Z');
+}
+
+function hoursFromNow(hours) {
+    return new Date(Math.floor(Date.now() / 60000) * 60000 + hours * 3600000);
+}
+
+// Text product, segments are { ugcLine: 'ALC073-117', vtec: ['NEW.KWNS.TO.A.0045', ...], text }
+// Only NEW statements carry a start time, later ones use the all-zero time like the NWS does
+function textProduct(wmoHeading, awipsId, segments) {
+    const issuedAt = hoursFromNow(0);
+    const endsAt = hoursFromNow(3);
+    const body = segments.map(({ ugcLine, vtec = [], text = 'Statement text.' }) => [
+        `${ugcLine}-${dayTime(endsAt)}-`,
+        ...vtec.map((event) => `/O.${event}.${event.startsWith('NEW') ? vtecTime(issuedAt) : '000000T0000Z'}-${vtecTime(endsAt)}/`),
+        '',
+        '800 PM CDT Sun Oct 18 2026',
+        '',
+        text,
+        '',
+        '$$'
+    ].join('\n')).join('\n\n');
+
+    return `123\n${wmoHeading} ${dayTime(issuedAt)}\n${awipsId}\n\n${body}\n`;
+}
+
+function capMessage({ status = 'Actual', awipsId = 'SPSBMX', wmoHeading = 'WWUS84 KBMX', identifier = 'urn:oid:2.49.0.1.840.0.1' } = {}) {
+    const sent = hoursFromNow(0);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+<identifier>${identifier}</identifier>
+<sender>w-nws.webmaster@noaa.gov</sender>
+<sent>${sent.toISOString()}</sent>
+<status>${status}</status>
+<msgType>Alert</msgType>
+<scope>Public</scope>
+<info>
+<language>en-US</language>
+<category>Met</category>
+<event>Special Weather Statement</event>
+<urgency>Expected</urgency>
+<severity>Moderate</severity>
+<certainty>Observed</certainty>
+<expires>${hoursFromNow(1).toISOString()}</expires>
+<senderName>NWS Birmingham AL</senderName>
+<headline>Special Weather Statement issued by NWS Birmingham AL</headline>
+<description>A strong thunderstorm will impact portions of Jefferson County.</description>
+<parameter><valueName>AWIPSidentifier</valueName><value>${awipsId}</value></parameter>
+<parameter><valueName>WMOidentifier</valueName><value>${wmoHeading} ${dayTime(sent)}</value></parameter>
+<area>
+<areaDesc>Jefferson</areaDesc>
+<polygon>33.5,-86.9 33.6,-86.7 33.4,-86.6 33.5,-86.9</polygon>
+<geocode><valueName>UGC</valueName><value>ALZ024</value></geocode>
+</area>
+</info>
+</alert>`;
+}
+
+before(() => {
+    setDataDirectory(fs.mkdtempSync(path.join(os.tmpdir(), 'sparkalerts-nwwsoi-')));
+});
+
+beforeEach((t) => {
+    // The pipeline logs every product it handles
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('CAP messages with a status other than Actual go to the test store', () => {
+    const { send, events } = createPipeline({ include_test_products: true });
+
+    send(capMessage({ status: 'Test', identifier: 'cap-status-test' }));
+    send(capMessage({ status: 'Exercise', awipsId: 'SPSHUN', wmoHeading: 'WWUS84 KHUN', identifier: 'cap-status-exercise' }));
+
+    assert.deepEqual(events.map((event) => [event.type, event.store]), [['NEW', 'test'], ['NEW', 'test']]);
+    assert.equal(readAlertDatabase('operational').length, 0);
+    assert.equal(readAlertDatabase('test').length, 2);
+});
+
+test('CAP messages with a status other than Actual are dropped when test products are disabled', () => {
+    const { send, events } = createPipeline();
+
+    send(capMessage({ status: 'System', awipsId: 'SPSJAN', wmoHeading: 'WWUS84 KJAN', identifier: 'cap-status-system' }));
+
+    assert.deepEqual(events, []);
+    assert.equal(readAlertDatabase('operational').filter((alert) => alert.nwsOffice === 'KJAN').length, 0);
+});
+
+test('Actual CAP messages are operational alerts', () => {
+    const { send, events } = createPipeline();
+
+    send(capMessage({ awipsId: 'SPSFFC', wmoHeading: 'WWUS82 KFFC', identifier: 'cap-status-actual' }));
+
+    assert.deepEqual(events.map((event) => [event.type, event.store]), [['NEW', 'operational']]);
+    assert.equal(events[0].alert.ugcs[0], 'ALZ024');
+});
+
+test('CAP messages that cannot be parsed do not become alerts', () => {
+    const { send, events } = createPipeline();
+
+    send(capMessage({ awipsId: 'SPSMOB', wmoHeading: 'WWUS84 KMOB', identifier: 'cap-broken' }).replace('</info>', '</inf>'));
+
+    assert.deepEqual(events, []);
+    assert.equal(readAlertDatabase('operational').filter((alert) => alert.nwsOffice === 'KMOB').length, 0);
+});
+
+test('local WCN statements update the single SPC watch alert', () => {
+    const { send } = createPipeline();
+
+    send(textProduct('WOUS64 KWNS', 'WOU5', [
+        { ugcLine: 'ALC073-117-127', vtec: ['NEW.KWNS.TO.A.0045'] },
+        { ugcLine: 'GAC045-097', vtec: ['NEW.KWNS.TO.A.0045'] }
+    ]));
+    send(textProduct('WWUS64 KBMX', 'WCNBMX', [
+        { ugcLine: 'ALC127', vtec: ['CAN.KBMX.TO.A.0045'] },
+        { ugcLine: 'ALC073-117', vtec: ['CON.KBMX.TO.A.0045'] }
+    ]));
+
+    const watchAlerts = readAlertDatabase().filter((alert) => alert.vtec?.phenomena === 'TO' && alert.vtec?.significance === 'A');
+    assert.equal(watchAlerts.length, 1);
+    assert.equal(watchAlerts[0].vtec.officeId, 'KWNS');
+    assert.equal(watchAlerts[0].vtec.issuingOfficeId, 'KBMX');
+    assert.equal(watchAlerts[0].properties.watchNumber, 45);
+    assert.deepEqual([...watchAlerts[0].ugcs].sort(), ['ALC073', 'ALC117', 'GAC045', 'GAC097']);
+
+    // The watch entity follows the same counties and names the alert
+    const watch = getProduct('watches').watches['45'];
+    assert.deepEqual(watch.ugcs, ['ALC073', 'ALC117', 'GAC045', 'GAC097']);
+    assert.equal(watch.alertEvent, 'KWNS.TO.A.0045');
+});
+
+test('a watch ends when the local offices clear all of its counties', () => {
+    const { send } = createPipeline();
+
+    send(textProduct('WOUS64 KWNS', 'WOU6', [{ ugcLine: 'ALC001-003', vtec: ['NEW.KWNS.SV.A.0046'] }, { ugcLine: 'MSC001', vtec: ['NEW.KWNS.SV.A.0046'] }]));
+    send(textProduct('WWUS64 KBMX', 'WCNBMX', [{ ugcLine: 'ALC001-003', vtec: ['EXP.KBMX.SV.A.0046'] }]));
+    assert.deepEqual(readAlertDatabase().find((alert) => alert.properties?.watchNumber === 46).ugcs, ['MSC001']);
+
+    send(textProduct('WWUS64 KJAN', 'WCNJAN', [{ ugcLine: 'MSC001', vtec: ['CAN.KJAN.SV.A.0046'] }]));
+    assert.equal(readAlertDatabase().find((alert) => alert.properties?.watchNumber === 46), undefined);
+    assert.equal(getProduct('watches').watches['46'].status, 'cancelled');
+});
+
+test('a warning stays active through its statements and is archived when it is cancelled', () => {
+    const { send, events } = createPipeline();
+    const warning = { officeId: 'KBMX', phenomena: 'SV', significance: 'W', eventTrackingNumber: '0301' };
+
+    send(textProduct('WUUS54 KBMX', 'SVRBMX', [{ ugcLine: 'ALC073-117', vtec: ['NEW.KBMX.SV.W.0301'] }]));
+    send(textProduct('WWUS54 KBMX', 'SVSBMX', [{ ugcLine: 'ALC073-117', vtec: ['CON.KBMX.SV.W.0301'] }]));
+    assert.deepEqual(findAlert(warning).versions.map((version) => version.action), ['NEW', 'CON']);
+
+    send(textProduct('WWUS54 KBMX', 'SVSBMX', [{ ugcLine: 'ALC073-117', vtec: ['CAN.KBMX.SV.W.0301'] }]));
+    assert.equal(findAlert(warning), null);
+    assert.deepEqual(events.map((event) => event.type), ['NEW', 'UPDATE', 'UPDATE']);
+
+    const archived = findArchivedAlert(events[0].alert.id);
+    assert.equal(archived.endReason, 'cancelled');
+    assert.equal(archived.startsAt, events[0].alert.vtec.startTimeISO);
+    assert.deepEqual(archived.versions.map((version) => version.action), ['NEW', 'CON', 'CAN']);
+});
@@ -1,3 +1,21 @@
+// Import XML parser (used by @xmpp/client internally)
+import parseXML from '@xmpp/xml/lib/parse.js';
+
+// Import VTEC parser
+import parseVTEC from './vtec.js';
+
+// Import UGC utilities
+import { ugcToFips } from '../utils/ugc.js';
+
+// Import IBW tag parser
+import { parseIbwParameters, IbwDetection, IbwDamageThreat } from './ibw.js';
+
+// CAP messages can wrap the XML in a WMO header, so find where the document begins
+const capStartRegex = /<\?xml|<alert[\s>]/;
+
+// eventMotionDescription example: 2026-03-17T23:41:00-00:00...storm...245DEG...39KT...34.46,-87.53
+const eventMotionRegex = /T(\d{2}):(\d{2})[^.]*\.{3}[^.]*\.{3}(\d+)DEG\.{3}(\d+)KT\.{3}((?:\s*-?\d+\.\d+,-?\d+\.\d+)+)/;
+
 
 export default class CAPParser {
     constructor(fullMessage) {
@@ -14,29 +32,315 @@ export default class CAPParser {
     }
 
     _process() {
-        // Nothing for now
+        this.alert = null;
+        this.info = null;
+        this.parameters = {};
+        this.vtecList = [];
+        this.vtec = null;
+        this.zoneIds = [];
+        this.geometry = null;
+        this.timeMotLoc = null;
+        this.ibwTags = parseIbwParameters(() => null);
+        this.wmoHeader = null;
+        this.dateTime = null;
+        this.bbb = null;
+
+        // Parse the CAP document
+        const startIndex = this.productMessage ? this.productMessage.search(capStartRegex) : -1;
+        if (startIndex === -1) {
+            return;
+        }
+
+        try {
+            this.alert = parseXML(this.productMessage.slice(startIndex).trim());
+        } catch (err) {
+            console.warn('CAPParser: Unable to parse CAP XML:', err.message);
+            return;
+        }
+
+        if (!this.alert || this.alert.name !== 'alert') {
+            this.alert = null;
+            return;
+        }
+
+        // Alert level elements
+        this.identifier = this._getText(this.alert, 'identifier');
+        this.sent = this._getText(this.alert, 'sent');
+        this.status = this._getText(this.alert, 'status');
+        this.msgType = this._getText(this.alert, 'msgType');
+        this.references = this._getText(this.alert, 'references');
+
+        // NWS sends an English and sometimes a Spanish info block, prefer English
+        const infoBlocks = this.alert.getChildren('info');
+        this.info = infoBlocks.find((info) => (this._getText(info, 'language') || '').toLowerCase().startsWith('en')) || infoBlocks[0] || null;
+        if (!this.info) {
+            return;
+        }
+
+        // Info level elements
+        this.event = this._getText(this.info, 'event');
+        this.urgency = this._getText(this.info, 'urgency');
+        this.severity = this._getText(this.info, 'severity');
+        this.certainty = this._getText(this.info, 'certainty');
+        this.effective = this._getText(this.info, 'effective');
+        this.onset = this._getText(this.info, 'onset');
+        this.expires = this._getText(this.info, 'expires');
+        this.senderName = this._getText(this.info, 'senderName');
+        this.headline = this._getText(this.info, 'headline');
+        this.description = this._getText(this.info, 'description');
+        this.instruction = this._getText(this.info, 'instruction');
+
+        // Parameters are valueName/value pairs; some (VTEC) can appear more than once
+        for (const parameter of this.info.getChildren('parameter')) {
+            const name = this._getText(parameter, 'valueName');
+            const value = this._getText(parameter, 'value');
+            if (!name || value === null) {
+                continue;
+            }
+            (this.parameters[name] = this.parameters[name] || []).push(value);
+        }
+
+        // WMO identifier of the text product this CAP message was generated from, e.g. WUUS54 KOUN 172343
+        const wmoIdentifier = (this._getParameter('WMOidentifier') || '').split(/\s+/);
+        this.wmoHeader = wmoIdentifier[0] || null;
+        this.officeCode = wmoIdentifier[1] || this.officeCode;
+        this.dateTime = wmoIdentifier[2] || null;
+        this.bbb = wmoIdentifier[3] || null;
+
+        // VTEC
+        this.vtecList = (this.parameters.VTEC || []).map((vtecString) => {
+            try {
+                return parseVTEC(vtecString.trim());
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+        this.vtec = this._selectPrimaryVtec(this.vtecList);
+
+        // Area: polygons and UGC geocodes
+        this._extractArea(this.info.getChildren('area'));
+
+        // Storm tracking parameters
+        this._extractStormParameters();
+    }
+
+    _extractArea(areas) {
+        const polygons = [];
+        const zoneIds = new Set();
+
+        for (const area of areas) {
+            for (const polygon of area.getChildren('polygon')) {
+                // CAP polygons are space separated "lat,lon" pairs
+                const coordinates = polygon.getText().trim().split(/\s+/).map((pair) => {
+                    const [lat, lon] = pair.split(',').map(parseFloat);
+                    return [lon, lat];
+                }).filter(([lon, lat]) => Number.isFinite(lat) && Number.isFinite(lon));
+
+                if (coordinates.length < 3) {
+                    continue;
+                }
+
+                // Close the polygon if the last coordinate doesn't match the first
+                const first = coordinates[0];
+                const last = coordinates[coordinates.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    coordinates.push([...first]);
+                }
+
+                polygons.push([coordinates]);
+            }
+
+            for (const geocode of area.getChildren('geocode')) {
+                if (this._getText(geocode, 'valueName') === 'UGC') {
+                    zoneIds.add(this._getText(geocode, 'value'));
+                }
+            }
+        }
+
+        this.areaDesc = areas.map((area) => this._getText(area, 'areaDesc')).filter(Boolean).join('; ') || null;
+        this.zoneIds = Array.from(zoneIds).filter(Boolean);
+
+        if (polygons.length === 1) {
+            this.geometry = { type: 'Polygon', coordinates: polygons[0] };
+        } else if (polygons.length > 1) {
+            this.geometry = { type: 'MultiPolygon', coordinates: polygons };
+        } else {
+            this.geometry = null;
+        }
+    }
+
+    _extractStormParameters() {
+        // Event motion, formatted the same way as WMOParser TIME...MOT...LOC
+        const motion = this._getParameter('eventMotionDescription');
+        const motionMatch = motion ? motion.match(eventMotionRegex) : null;
+        if (motionMatch) {
+            const [, hour, minute, direction, speed, locationText] = motionMatch;
+            const locations = locationText.trim().split(/\s+/).map((pair) => {
+                const [lat, lon] = pair.split(',').map(parseFloat);
+                return { lat, lon };
+            });
+            const observedAt = new Date(motion.split('...')[0].trim());
+            this.timeMotLoc = {
+                time: `${hour}${minute}Z`,
+                observedAt: isNaN(observedAt.getTime()) ? null : observedAt.toISOString(),
+                direction: parseInt(direction),
+                speed: parseInt(speed),
+                location: locations[0],
+                locations
+            };
+        }
+
+        // Impact-based warning parameters (hailThreat, maxWindGust, ...)
+        this.ibwTags = parseIbwParameters((name) => this._getParameter(name));
+    }
+
+    _selectPrimaryVtec(vtecList) {
+        if (!Array.isArray(vtecList) || vtecList.length === 0) {
+            return null;
+        }
+
+        const preferActions = new Set(['NEW', 'CON', 'EXT', 'EXA', 'EXB', 'UPG', 'COR']);
+        const preferred = vtecList.find((vtec) => preferActions.has(vtec.actionCode));
+
+        return preferred || vtecList[0];
+    }
+
+    _getText(element, childName) {
+        const text = element?.getChildText(childName);
+        return typeof text === 'string' ? text.trim() : null;
+    }
+
+    _getParameter(name) {
+        return this.parameters[name]?.[0] ?? null;
+    }
+
+    _getSearchText() {
+        return [this.headline, this.description, this.instruction].filter(Boolean).join('\n').toLowerCase();
     }
 
     getProperty(propertyName) {
         // Function to return an alert property
+        // Keys mirror WMOParser so both parsers can be used interchangeably
         switch (propertyName) {
             case 'ttaaii':
                 return this.ttaaii;
             case 'issuedAt':
                 return this.issuedAt;
+            case 'wmoHeader':
+                return this.wmoHeader;
+            case 'officeCode':
+                return this.officeCode;
+            case 'dateTime':
+                return this.dateTime;
+            case 'bbb':
+                return this.bbb;
+            case 'isCorrection':
+                return this.bbb?.startsWith('CC') || false;
+            case 'awipsId':
+                return this._getParameter('AWIPSidentifier');
+            case 'productName':
+                return this.event || null;
+            case 'zoneIds':
+            case 'ugcs':
+                return this.zoneIds;
+            case 'fips':
+                return this.zoneIds.map(ugcToFips).filter(Boolean);
+            case 'purgeTime':
+                // CAP has no UGC purge time, the closest equivalent is expires
+                return this._getExpiration();
+            case 'geometry':
+                return this.geometry;
+            case 'timeMotLoc':
+                return this.timeMotLoc;
+            case 'ibwTags':
+                return this.ibwTags;
+            case 'maxHail':
+                return this.ibwTags.maxHail;
+            case 'maxWind':
+                return this.ibwTags.maxWind;
+            case 'isPds':
+                return this._getSearchText().includes('particularly dangerous situation');
+            case 'isConsiderable':
+                return this.ibwTags.thunderstormDamageThreat === IbwDamageThreat.CONSIDERABLE;
+            case 'isDestructive':
+                return this.ibwTags.thunderstormDamageThreat === IbwDamageThreat.DESTRUCTIVE;
+            case 'isEmergency':
+                return this.ibwTags.tornadoDamageThreat === IbwDamageThreat.CATASTROPHIC ||
+                    this.ibwTags.flashFloodDamageThreat === IbwDamageThreat.CATASTROPHIC ||
+                    this._getSearchText().includes('tornado emergency') ||
+                    this._getSearchText().includes('flash flood emergency');
+            case 'isTorPossible':
+                return this.ibwTags.tornadoDetection === IbwDetection.POSSIBLE;
+            case 'isWaterspoutPossible':
+                return this.ibwTags.waterspoutDetection === IbwDetection.POSSIBLE;
+            case 'isTorConfirmed':
+                return this.ibwTags.tornadoDetection === IbwDetection.OBSERVED;
+            case 'isTorRadarIndicated':
+                return this.ibwTags.tornadoDetection === IbwDetection.RADAR_INDICATED;
+            case 'vtec':
+                return this.vtec;
+            case 'tornado':
+                return this.ibwTags.tornadoDetection || this.ibwTags.waterspoutDetection;
+            case 'expiration':
+                return this._getExpiration();
+            case 'vtecList':
+                return this.vtecList;
+            case 'timeGuesses':
+                // CAP times are full ISO timestamps
+                return [];
+            case 'id': {
+                // Unique, constant ID that will not change if updated.
+                // Matches the ID WMOParser gives the text version of the same segment
+                const baseId = `${this.officeCode}-${this.getProperty('awipsId')}`;
+                return this.vtec ? `${baseId}-${this.vtec.phenomena}.${this.vtec.significance}.${this.vtec.eventTrackingNumber}` : baseId;
+            }
+            case 'msgType':
+                return this.msgType || null;
+            case 'status':
+                return this.status || null;
+            case 'headline':
+                return this.headline || null;
+            case 'areaDesc':
+                return this.areaDesc || null;
+            default:
+                return null;
         }
     }
 
+    getSegments() {
+        // NWS sends one CAP message per UGC segment, so the parser is its own only segment
+        // A message that could not be parsed has nothing to turn into an alert
+        return this.alert && this.info ? [this] : [];
+    }
+
     getRawMessage() {
         // Function to return the raw message text
-        return this.productMessage || null;
+        // For CAP this is the human readable portion of the info block
+        if (!this.info) {
+            return this.productMessage || null;
+        }
+        return [this.headline, this.description, this.instruction].filter(Boolean).join('\n\n') || null;
     }
 
     getMessage() {
-        return this.productMessage || null;
+        return this.getRawMessage();
+    }
+
+    _getExpiration() {
+        // Prefer VTEC end time, then the CAP expires element
+        if (this.vtec && this.vtec.endTimeISO) {
+            return this.vtec.endTimeISO;
+        }
+
+        const expires = this.expires ? new Date(this.expires) : null;
+        if (expires && !isNaN(expires.getTime())) {
+            return expires.toISOString();
+        }
+
+        return null;
     }
 
     _isCapMessage(ttaaii) {
         return ttaaii.startsWith('XO');
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CAPParser from './cap_parser.js';
+
+function stanza(text) {
+    return {
+        getChildText: () => text,
+        getChild: () => ({ attrs: { ttaaii: 'XOUS54', cccc: 'KBMX', issue: '2026-10-19T01:00:00Z', awipsid: 'SPSBMX' } })
+    };
+}
+
+const capText = `<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+<identifier>urn:oid:2.49.0.1.840.0.1</identifier>
+<sent>2026-10-19T01:00:00-00:00</sent>
+<status>Exercise</status>
+<msgType>Alert</msgType>
+<info>
+<language>en-US</language>
+<event>Special Weather Statement</event>
+<parameter><valueName>AWIPSidentifier</valueName><value>SPSBMX</value></parameter>
+<parameter><valueName>WMOidentifier</valueName><value>WWUS84 KBMX 190100</value></parameter>
+<area><areaDesc>Jefferson</areaDesc><geocode><valueName>UGC</valueName><value>ALZ024</value></geocode></area>
+</info>
+</alert>`;
+
+test('a parsed CAP message is its own segment and reports its status', () => {
+    const parser = new CAPParser(stanza(capText));
+
+    assert.deepEqual(parser.getSegments(), [parser]);
+    assert.equal(parser.getProperty('status'), 'Exercise');
+    assert.deepEqual(parser.getProperty('ugcs'), ['ALZ024']);
+});
+
+test('a CAP message that cannot be parsed has no segments', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(new CAPParser(stanza(capText.replace('</info>', '</inf>'))).getSegments(), []);
+    assert.deepEqual(new CAPParser(stanza('WWUS84 KBMX 190100\nno xml here')).getSegments(), []);
+});
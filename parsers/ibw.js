@@ -0,0 +1,143 @@
+// Impact-based warning (IBW) tags
+// Warnings end with lines like "HAIL THREAT...RADAR INDICATED" and "MAX HAIL SIZE...1.00 IN";
+// CAP carries the same values as parameters (hailThreat, maxHailSize, ...)
+// Both are turned into the same typed values so text and CAP alerts can be compared
+
+// Allowed values of the enum tags
+export const IbwDetection = Object.freeze({
+    RADAR_INDICATED: 'RADAR INDICATED',
+    RADAR_AND_GAUGE_INDICATED: 'RADAR AND GAUGE INDICATED',
+    OBSERVED: 'OBSERVED',
+    POSSIBLE: 'POSSIBLE'
+});
+
+export const IbwDamageThreat = Object.freeze({
+    BASE: 'BASE',
+    CONSIDERABLE: 'CONSIDERABLE',
+    DESTRUCTIVE: 'DESTRUCTIVE',
+    CATASTROPHIC: 'CATASTROPHIC'
+});
+
+export const IbwImpact = Object.freeze({
+    SIGNIFICANT: 'SIGNIFICANT'
+});
+
+// Number with an optional "<" or ">" in front, e.g. "<50" or ">.75"
+const qualifiedNumberRegex = /^([<>])?\s*(\d*\.?\d+)/;
+
+// e.g. "1-2 INCHES IN 1 HOUR" or "3 INCHES IN 1 HOUR"
+const rainfallRateRegex = /^(\d*\.?\d+)(?:\s*-\s*(\d*\.?\d+))?\s*INCH(?:ES)?\s+IN\s+(\d+)\s+HOURS?/;
+
+function parseEnum(allowed) {
+    const values = new Set(Object.values(allowed));
+    return (text) => {
+        const value = text.trim().replace(/\s+/g, ' ').toUpperCase();
+        return values.has(value) ? value : null;
+    };
+}
+
+function parseQualifiedNumber(text) {
+    const match = text.trim().match(qualifiedNumberRegex);
+    return match ? { qualifier: match[1] || null, value: parseFloat(match[2]) } : null;
+}
+
+// Hail in inches; NWS CAP sends 0.00 when there is no hail tag
+function parseHail(text) {
+    const hail = parseQualifiedNumber(text);
+    return hail && hail.value > 0 ? hail.value : null;
+}
+
+// Wind in mph, keeping the qualifier of "<50 MPH"
+function parseWind(text) {
+    if (/KTS?\b/i.test(text)) {
+        return null;
+    }
+    const wind = parseQualifiedNumber(text);
+    return wind ? { mph: wind.value, qualifier: wind.qualifier } : null;
+}
+
+// Marine warnings (SMW) give "HAIL...>.75IN" and "WIND...>34KTS"
+function parseMarineHail(text) {
+    const hail = parseQualifiedNumber(text);
+    return hail ? { inches: hail.value, qualifier: hail.qualifier } : null;
+}
+
+function parseMarineWind(text) {
+    const wind = parseQualifiedNumber(text);
+    return wind ? { knots: wind.value, qualifier: wind.qualifier } : null;
+}
+
+function parseRainfallRate(text) {
+    const match = text.trim().toUpperCase().match(rainfallRateRegex);
+    if (!match) {
+        return null;
+    }
+
+    const minInches = parseFloat(match[1]);
+    return {
+        minInches,
+        maxInches: match[2] ? parseFloat(match[2]) : minInches,
+        hours: parseInt(match[3], 10)
+    };
+}
+
+// tag - label in the text product, cap - CAP parameter name, key - property name
+const ibwTags = [
+    { key: 'tornadoDetection', tag: 'TORNADO', cap: 'tornadoDetection', parse: parseEnum(IbwDetection) },
+    { key: 'tornadoDamageThreat', tag: 'TORNADO DAMAGE THREAT', cap: 'tornadoDamageThreat', parse: parseEnum(IbwDamageThreat) },
+    { key: 'thunderstormDamageThreat', tag: 'THUNDERSTORM DAMAGE THREAT', cap: 'thunderstormDamageThreat', parse: parseEnum(IbwDamageThreat) },
+    { key: 'hailThreat', tag: 'HAIL THREAT', cap: 'hailThreat', parse: parseEnum(IbwDetection) },
+    { key: 'maxHail', tag: 'MAX HAIL SIZE', cap: 'maxHailSize', parse: parseHail },
+    { key: 'windThreat', tag: 'WIND THREAT', cap: 'windThreat', parse: parseEnum(IbwDetection) },
+    { key: 'maxWind', tag: 'MAX WIND GUST', cap: 'maxWindGust', parse: parseWind },
+    { key: 'flashFloodDetection', tag: 'FLASH FLOOD', cap: 'flashFloodDetection', parse: parseEnum(IbwDetection) },
+    { key: 'flashFloodDamageThreat', tag: 'FLASH FLOOD DAMAGE THREAT', cap: 'flashFloodDamageThreat', parse: parseEnum(IbwDamageThreat) },
+    { key: 'expectedRainfallRate', tag: 'EXPECTED RAINFALL RATE', cap: null, parse: parseRainfallRate },
+    { key: 'snowSquallDetection', tag: 'SNOW SQUALL', cap: 'snowSquallDetection', parse: parseEnum(IbwDetection) },
+    { key: 'snowSquallImpact', tag: 'SNOW SQUALL IMPACT', cap: 'snowSquallImpact', parse: parseEnum(IbwImpact) },
+    { key: 'waterspoutDetection', tag: 'WATERSPOUT', cap: 'waterspoutDetection', parse: parseEnum(IbwDetection) },
+    { key: 'marineHail', tag: 'HAIL', cap: null, parse: parseMarineHail },
+    { key: 'marineWind', tag: 'WIND', cap: null, parse: parseMarineWind }
+];
+
+function emptyTags() {
+    return Object.fromEntries(ibwTags.map(({ key }) => [key, null]));
+}
+
+// Tags sit on their own line at the end of the segment; the label must match exactly
+// so "TORNADO..." does not pick up "TORNADO DAMAGE THREAT..."
+export function parseIbwTags(text) {
+    const tags = emptyTags();
+    if (!text) {
+        return tags;
+    }
+
+    for (const { key, tag, parse } of ibwTags) {
+        const match = text.match(new RegExp(`^\\s*${tag}\\.{3}(.+)$`, 'm'));
+        if (match) {
+            tags[key] = parse(match[1]);
+        }
+    }
+
+    return tags;
+}
+
+// getParameter is (name) => value of the CAP parameter or null
+export function parseIbwParameters(getParameter) {
+    const tags = emptyTags();
+
+    for (const { key, cap, parse } of ibwTags) {
+        const value = cap ? getParameter(cap) : null;
+        if (value) {
+            tags[key] = parse(value);
+        }
+    }
+
+    // CAP has one maxWindGust parameter, marine warnings give it in knots
+    const maxWindGust = getParameter('maxWindGust');
+    if (maxWindGust && !tags.maxWind) {
+        tags.marineWind = parseMarineWind(maxWindGust);
+    }
+
+    return tags;
+}
@@ -1,6 +1,8 @@
 // File to parse coded analysis products "COD" into GeoJSON format
 // These contain information of frontal boundaries and high and low pressure centers
 
+import { registerSpecialProduct } from './registry.js';
+
 export default function parseCOD(lines) {
     const features = [];
 
@@ -130,6 +132,13 @@ export default function parseCOD(lines) {
 }
 
 
+registerSpecialProduct({
+    code: 'COD',
+    storageKey: 'cod',
+    parse: (productText) => parseCOD(productText.split('\n')),
+    serialize: (data) => data
+});
+
 /*
 
 EXAMPLE COD PRODUCT
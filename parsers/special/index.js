@@ -0,0 +1,10 @@
+// Special product handlers
+// Adding a product: write a module that calls registerSpecialProduct() and import it here
+import './cod.js';
+import './swo.js';
+import './pts.js';
+import './mcd.js';
+import './watch.js';
+import './lsr.js';
+
+export { getSpecialProduct, getSpecialProductCodes } from './registry.js';
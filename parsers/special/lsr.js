@@ -0,0 +1,248 @@
+// File to parse Local Storm Reports "LSR" into GeoJSON points
+// A product carries one report or, for summary LSRs, many of them; every report is two fixed column lines plus remarks:
+//     0445 PM     TORNADO          2 NW JASPER             33.86N 87.28W
+//     03/17/2026                   WALKER             AL   NWS STORM SURVEY
+// Reports are kept for a rolling window so repeated reports (summaries, corrections) replace the stored ones
+
+import { registerSpecialProduct } from './registry.js';
+import { normalizeProductText } from './text.js';
+import { localTimeToIso } from '../../utils/time.js';
+
+// Reports older than this (by the time of the event) are dropped from the store
+const REPORT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const reportLineRegex = /^(\d{3,4})\s+(AM|PM)\s/;
+const dateLineRegex = /^(\d{2})\/(\d{2})\/(\d{4})/;
+const latLonRegex = /(\d+\.\d+)([NS])\s+(\d+\.\d+)([EW])/;
+const headerTimeRegex = /^\d{3,4}\s+(?:AM|PM)\s+([A-Za-z]{2,4})\s+[A-Z]{3}\s+[A-Z]{3}\s+\d{1,2}\s+\d{4}/m;
+const magnitudeRegex = /^([EMU])?(\d+(?:\.\d+)?)\s*(.*)$/;
+const tornadoRatingRegex = /^EF-?([0-5U])$/;
+
+const qualifiers = { E: 'estimated', M: 'measured', U: 'unknown' };
+
+// Magnitudes are "M60 MPH", "E1.75 INCH", "EF1" or blank
+function parseMagnitude(text) {
+    if (!text) {
+        return null;
+    }
+
+    const ratingMatch = text.match(tornadoRatingRegex);
+    if (ratingMatch) {
+        return { value: ratingMatch[1] === 'U' ? null : parseInt(ratingMatch[1], 10), units: 'EF', qualifier: null, text };
+    }
+
+    const match = text.match(magnitudeRegex);
+    if (!match) {
+        return { value: null, units: null, qualifier: null, text };
+    }
+
+    return {
+        value: parseFloat(match[2]),
+        units: match[3].trim() || null,
+        qualifier: qualifiers[match[1]] || null,
+        text
+    };
+}
+
+// Report times are local to the issuing office, the time zone comes from the product header
+function toUtc(dateMatch, time, meridiem, timezone, officeCode) {
+    const padded = time.padStart(4, '0');
+    let hour = parseInt(padded.slice(0, 2), 10) % 12;
+    if (meridiem === 'PM') {
+        hour += 12;
+    }
+
+    const [, month, day, year] = dateMatch;
+    return localTimeToIso({
+        year: parseInt(year, 10),
+        month: parseInt(month, 10),
+        day: parseInt(day, 10),
+        hour,
+        minute: parseInt(padded.slice(2), 10)
+    }, timezone, officeCode);
+}
+
+export default function parseLSR(productText, options = {}) {
+    const lines = normalizeProductText(productText).split('\n');
+    const tzMatch = lines.join('\n').match(headerTimeRegex);
+
+    const reports = [];
+    for (let i = 0; i < lines.length - 1; i++) {
+        const firstLine = lines[i];
+        const timeMatch = firstLine.match(reportLineRegex);
+        const latLonMatch = firstLine.match(latLonRegex);
+        const dateMatch = lines[i + 1].match(dateLineRegex);
+        if (!timeMatch || !latLonMatch || !dateMatch) {
+            continue;
+        }
+
+        const secondLine = lines[i + 1];
+        i++;
+
+        // Remarks are the indented lines after the report, up to the next blank line
+        const remarks = [];
+        let j = i + 1;
+        while (j < lines.length && !lines[j].trim()) {
+            j++;
+        }
+        while (j < lines.length && /^\s{6,}\S/.test(lines[j])) {
+            remarks.push(lines[j].trim());
+            j++;
+        }
+        if (remarks.length > 0) {
+            i = j - 1;
+        }
+
+        const lat = parseFloat(latLonMatch[1]) * (latLonMatch[2] === 'S' ? -1 : 1);
+        const lon = parseFloat(latLonMatch[3]) * (latLonMatch[4] === 'W' ? -1 : 1);
+        const { iso: time, guessed: timeGuessed } = toUtc(dateMatch, timeMatch[1], timeMatch[2], tzMatch?.[1], options.officeCode);
+        const event = firstLine.slice(12, 29).trim();
+
+        reports.push({
+            type: 'Feature',
+            id: [options.officeCode || 'XXXX', time, event.replace(/\s+/g, '_'), lat.toFixed(2), lon.toFixed(2)].join('-'),
+            properties: {
+                event,
+                magnitude: parseMagnitude(secondLine.slice(12, 29).trim()),
+                time,
+                timeGuessed,
+                location: firstLine.slice(29, 53).trim() || null,
+                county: secondLine.slice(29, 48).trim() || null,
+                state: secondLine.slice(48, 53).trim() || null,
+                source: secondLine.slice(53).trim() || null,
+                remarks: remarks.join(' ') || null,
+                office: options.officeCode || null,
+                issuedAt: options.issuedAt || null
+            },
+            geometry: {
+                type: 'Point',
+                coordinates: [lon, lat]
+            }
+        });
+    }
+
+    return reports;
+}
+
+function isRecent(report, now = Date.now()) {
+    return now - new Date(report.properties.time).getTime() <= REPORT_RETENTION_MS;
+}
+
+// A report counts as changed when anything but the product it came in changed
+function reportContent(report) {
+    const { issuedAt, ...properties } = report.properties;
+    return JSON.stringify([properties, report.geometry]);
+}
+
+function parseLSRProduct(productText, context) {
+    const reports = parseLSR(productText, {
+        officeCode: context.officeCode,
+        issuedAt: context.issuedAt
+    }).filter((report) => isRecent(report));
+
+    if (reports.length === 0) {
+        return null;
+    }
+
+    const stored = new Map((context.previous?.reports || [])
+        .filter((report) => isRecent(report))
+        .map((report) => [report.id, report]));
+
+    // Summaries repeat earlier reports; only new or changed reports are announced
+    const latest = [];
+    for (const report of reports) {
+        const previous = stored.get(report.id);
+        if (previous && reportContent(previous) === reportContent(report)) {
+            continue;
+        }
+        if (previous) {
+            report.properties.issuedAt = previous.properties.issuedAt;
+        }
+        stored.set(report.id, report);
+        latest.push(report.id);
+    }
+
+    const sorted = Array.from(stored.values())
+        .sort((a, b) => b.properties.time.localeCompare(a.properties.time));
+
+    return { latest, reports: sorted };
+}
+
+// Filters: ?bbox=minLon,minLat,maxLon,maxLat, ?since= and ?until= (ISO times), ?type=TORNADO,HAIL
+function serializeLSR(data, query = {}) {
+    let reports = (data?.reports || []).filter((report) => isRecent(report));
+
+    if (query.bbox) {
+        const bbox = String(query.bbox).split(',').map(parseFloat);
+        if (bbox.length !== 4 || bbox.some((value) => !Number.isFinite(value))) {
+            throw new Error('bbox must be minLon,minLat,maxLon,maxLat');
+        }
+        const [minLon, minLat, maxLon, maxLat] = bbox;
+        reports = reports.filter(({ geometry: { coordinates: [lon, lat] } }) => lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat);
+    }
+
+    for (const [param, keep] of [['since', (time, limit) => time >= limit], ['until', (time, limit) => time <= limit]]) {
+        if (!query[param]) {
+            continue;
+        }
+        const limit = new Date(query[param]);
+        if (isNaN(limit.getTime())) {
+            throw new Error(`${param} must be an ISO 8601 time`);
+        }
+        reports = reports.filter((report) => keep(new Date(report.properties.time), limit));
+    }
+
+    if (query.type) {
+        const types = String(query.type).toUpperCase().split(',').map((type) => type.trim());
+        reports = reports.filter((report) => types.includes(report.properties.event.toUpperCase()));
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: reports
+    };
+}
+
+registerSpecialProduct({
+    code: 'LSR',
+    storageKey: 'lsr',
+    parse: parseLSRProduct,
+    serialize: serializeLSR,
+    getEvent: (data) => data.reports
+        .filter((report) => data.latest.includes(report.id))
+        .map((report) => ({ type: 'REPORT', data: report }))
+});
+
+
+/*
+
+EXAMPLE LSR PRODUCT (shortened)
+
+512
+NWUS54 KBMX 172156
+LSRBMX
+
+PRELIMINARY LOCAL STORM REPORT...SUMMARY
+NATIONAL WEATHER SERVICE BIRMINGHAM AL
+456 PM CDT TUE MAR 17 2026
+
+..TIME...   ...EVENT...      ...CITY LOCATION...     ...LAT.LON...
+..DATE...   ....MAG....      ..COUNTY LOCATION..ST.. ...SOURCE....
+            ..REMARKS..
+
+0415 PM     HAIL             3 SW CORDOVA            33.73N 87.22W
+03/17/2026  E1.75 INCH       WALKER             AL   TRAINED SPOTTER
+
+            GOLF BALL SIZE HAIL REPORTED.
+
+0445 PM     TORNADO          2 NW JASPER             33.86N 87.28W
+03/17/2026                   WALKER             AL   NWS STORM SURVEY
+
+            BRIEF TOUCHDOWN CONFIRMED BY
+            LAW ENFORCEMENT.
+
+&&
+
+$$
+
+*/
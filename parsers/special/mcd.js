@@ -0,0 +1,125 @@
+// File to parse SPC mesoscale discussions (SWOMCD) into structured objects
+// Active discussions are kept in a rolling set until their valid time ends
+
+import { registerSpecialProduct } from './registry.js';
+import { parseSpcPoint, closeSpcOutline } from './spc.js';
+import { normalizeProductText } from './text.js';
+import { dayTimeToIso } from '../../utils/time.js';
+
+const numberRegex = /Mesoscale Discussion\s+(\d+)/i;
+const validRegex = /Valid\s+(\d{6})Z\s*-\s*(\d{6})Z/i;
+const watchProbabilityRegex = /Probability of Watch Issuance\.{3}\s*(\d+)\s*percent/i;
+const latLonRegex = /LAT\.{3}LON((?:\s+\d{8})+)/;
+
+// Fields run from their label to the next blank line
+function getField(text, label) {
+    const match = text.match(new RegExp(`${label}\\.{3}([\\s\\S]*?)(?:\\n\\s*\\n|$)`, 'i'));
+    return match ? match[1].replace(/\s+/g, ' ').replace(/\.{3}$/, '').trim() || null : null;
+}
+
+export default function parseMCD(productText, issuedAt = null) {
+    const text = normalizeProductText(productText);
+
+    const numberMatch = text.match(numberRegex);
+    if (!numberMatch) {
+        return null;
+    }
+
+    const validMatch = text.match(validRegex);
+    const watchProbabilityMatch = text.match(watchProbabilityRegex);
+
+    const latLonMatch = text.match(latLonRegex);
+    const points = latLonMatch ? latLonMatch[1].trim().split(/\s+/).map(parseSpcPoint).filter(Boolean) : [];
+    const rings = closeSpcOutline(points);
+
+    return {
+        number: parseInt(numberMatch[1], 10),
+        issuedAt,
+        validFrom: validMatch ? dayTimeToIso(validMatch[1], issuedAt) : null,
+        validTo: validMatch ? dayTimeToIso(validMatch[2], issuedAt) : null,
+        areasAffected: getField(text, 'Areas affected'),
+        concerning: getField(text, 'Concerning'),
+        watchProbability: watchProbabilityMatch ? parseInt(watchProbabilityMatch[1], 10) : null,
+        summary: getField(text, 'SUMMARY'),
+        geometry: rings ? { type: 'Polygon', coordinates: rings } : null,
+        text: text.trim()
+    };
+}
+
+function isActive(discussion, now = new Date()) {
+    return !discussion.validTo || new Date(discussion.validTo) > now;
+}
+
+function parseMCDProduct(productText, context) {
+    const discussion = parseMCD(productText, context.issuedAt);
+    if (!discussion) {
+        return null;
+    }
+
+    // Drop expired discussions, a new version of the same MD replaces the old one
+    const discussions = (context.previous?.discussions || [])
+        .filter((previous) => isActive(previous) && previous.number !== discussion.number);
+    discussions.push(discussion);
+    discussions.sort((a, b) => a.number - b.number);
+
+    return { latest: discussion, discussions };
+}
+
+// ?number=123 returns a single discussion, otherwise all active discussions
+function serializeMCD(data, query = {}) {
+    const active = (data?.discussions || []).filter((discussion) => isActive(discussion));
+
+    if (query.number) {
+        return active.find((discussion) => discussion.number === parseInt(query.number, 10)) || null;
+    }
+
+    return { discussions: active };
+}
+
+registerSpecialProduct({
+    code: 'MCD',
+    awipsIds: ['SWOMCD'],
+    storageKey: 'mcd',
+    parse: parseMCDProduct,
+    serialize: serializeMCD,
+    getEvent: (data) => ({ type: 'MD', data: data.latest })
+});
+
+
+/*
+
+EXAMPLE SWOMCD PRODUCT (shortened)
+
+463
+ACUS11 KWNS 172043
+SWOMCD
+SPC MCD 172043
+ALZ000-MSZ000-172245-
+
+Mesoscale Discussion 0123
+NWS Storm Prediction Center Norman OK
+0343 PM CDT Tue Mar 17 2026
+
+Areas affected...Central and northern Alabama into northeast
+Mississippi
+
+Concerning...Tornado Watch 45...
+
+Valid 172043Z - 172245Z
+
+Probability of Watch Issuance...60 percent
+
+SUMMARY...The tornado threat will continue across central Alabama
+through early evening.
+
+DISCUSSION...Discrete supercells have developed ahead of the line.
+
+..Smith.. 03/17/2026
+
+...Please see www.spc.noaa.gov for graphic product...
+
+ATTN...WFO...BMX...HUN...
+
+LAT...LON   33258853 34458815 34718686 33878617 33048714 33258853
+
+*/
@@ -0,0 +1,215 @@
+// File to parse SPC convective outlook points products "PTS" (PTSDY1, PTSDY2, PTSDY3) into GeoJSON format
+// These contain the categorical risk areas and the tornado/wind/hail (or any severe) probability areas
+
+import { registerSpecialProduct } from './registry.js';
+import { parseSpcPoint, closeSpcOutlookLine } from './spc.js';
+import { dayTimeToIso } from '../../utils/time.js';
+
+// Outlooks kept for each day, newest first
+const MAX_HISTORY_PER_DAY = 20;
+
+const sectionRegex = /^\.\.\.\s*(TORNADO|HAIL|WIND|ANY SEVERE|CATEGORICAL)\s*\.\.\./;
+const validTimeRegex = /VALID TIME\s+(\d{6})Z\s*-\s*(\d{6})Z/;
+const labelRegex = /^(\d\.\d{2}|SIGN|TSTM|MRGL|SLGT|ENH|MDT|HIGH)\b\s*(.*)$/;
+const categoricalRank = { TSTM: 0, MRGL: 1, SLGT: 2, ENH: 3, MDT: 4, HIGH: 5 };
+
+export default function parsePTS(lines) {
+    const outlines = [];
+    let activeSection = null;
+    let current = null;
+
+    for (const line of lines) {
+        const trimmedLine = line.trim();
+        if (!trimmedLine) {
+            continue;
+        }
+
+        const sectionMatch = trimmedLine.match(sectionRegex);
+        if (sectionMatch) {
+            activeSection = sectionMatch[1] === 'ANY SEVERE' ? 'any' : sectionMatch[1].toLowerCase();
+            current = null;
+            continue;
+        }
+
+        if (trimmedLine === '&&') {
+            activeSection = null;
+            current = null;
+            continue;
+        }
+
+        if (!activeSection) {
+            continue;
+        }
+
+        // A label starts a new outline, lines without one continue the previous outline
+        let tokens;
+        const labelMatch = trimmedLine.match(labelRegex);
+        if (labelMatch) {
+            current = { outlook: activeSection, label: labelMatch[1], lines: [[]] };
+            outlines.push(current);
+            tokens = labelMatch[2].split(/\s+/);
+        } else if (current) {
+            tokens = trimmedLine.split(/\s+/);
+        } else {
+            continue;
+        }
+
+        for (const token of tokens) {
+            // 99999 ends one line of an outline and starts the next
+            if (token === '99999') {
+                current.lines.push([]);
+                continue;
+            }
+
+            const coords = parseSpcPoint(token);
+            if (coords) {
+                current.lines[current.lines.length - 1].push(coords);
+            }
+        }
+    }
+
+    // One feature per outlook and label, holding all of its areas
+    // Lines that run to the US border are closed along it, see closeSpcOutlookLine
+    const features = [];
+    for (const outline of outlines) {
+        const polygons = outline.lines.map(closeSpcOutlookLine).filter(Boolean);
+        if (polygons.length === 0) {
+            continue;
+        }
+
+        const existing = features.find((feature) => feature.properties.outlook === outline.outlook && feature.properties.label === outline.label);
+        if (existing) {
+            existing.geometry.coordinates.push(...polygons);
+            continue;
+        }
+
+        const isProbability = /^\d/.test(outline.label);
+        features.push({
+            type: 'Feature',
+            properties: {
+                outlook: outline.outlook,
+                label: outline.label,
+                probability: isProbability ? Math.round(parseFloat(outline.label) * 100) : null,
+                significant: outline.label === 'SIGN',
+                rank: outline.outlook === 'categorical' ? categoricalRank[outline.label] : null
+            },
+            geometry: {
+                type: 'MultiPolygon',
+                coordinates: polygons
+            }
+        });
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features
+    };
+}
+
+function parsePTSProduct(productText, context) {
+    // Day 4-8 outlooks (PTSD48) use a different layout
+    const dayMatch = (context.awipsId || '').match(/^PTSDY([123])$/);
+    if (!dayMatch) {
+        return null;
+    }
+
+    const day = dayMatch[1];
+    const validMatch = productText.match(validTimeRegex);
+    const outlook = {
+        day: parseInt(day, 10),
+        awipsId: context.awipsId,
+        issuedAt: context.issuedAt,
+        validFrom: validMatch ? dayTimeToIso(validMatch[1], context.issuedAt) : null,
+        validTo: validMatch ? dayTimeToIso(validMatch[2], context.issuedAt) : null,
+        ...parsePTS(productText.split('\n'))
+    };
+
+    // Keep earlier outlooks for each day, newest first
+    const days = { ...(context.previous?.days || {}) };
+    const history = (days[day] || []).filter((previous) => previous.issuedAt !== outlook.issuedAt);
+    days[day] = [outlook, ...history].slice(0, MAX_HISTORY_PER_DAY);
+
+    return { days };
+}
+
+// ?day=1 returns that day's latest outlook, add &history=true for all stored outlooks of the day
+// Without a day the latest outlook of every day is returned
+function serializePTS(data, query = {}) {
+    const days = data?.days || {};
+
+    if (query.day) {
+        const history = days[query.day] || [];
+        if (query.history === 'true') {
+            return { day: parseInt(query.day, 10), outlooks: history };
+        }
+        return history[0] || null;
+    }
+
+    return {
+        days: Object.fromEntries(Object.entries(days).map(([day, history]) => [day, history[0] || null]))
+    };
+}
+
+registerSpecialProduct({
+    code: 'PTS',
+    storageKey: 'pts',
+    parse: parsePTSProduct,
+    serialize: serializePTS
+});
+
+
+/*
+
+EXAMPLE PTS PRODUCT (shortened)
+
+845
+WUUS01 KWNS 171630
+PTSDY1
+
+   DAY 1 CONVECTIVE OUTLOOK AREAL OUTLINE
+   NWS STORM PREDICTION CENTER NORMAN OK
+   1130 AM CDT TUE MAR 17 2026
+
+   VALID TIME 171630Z - 181200Z
+
+   PROBABILISTIC OUTLOOK POINTS DAY 1
+
+   ... TORNADO ...
+
+   0.05   33218898 34418779 35318618 35098488 33998543 32938735
+          33218898
+   0.02   32178988 34039002 35898731 36178450 34898331 32508533
+          31758773 32178988
+
+   &&
+
+   ... HAIL ...
+
+   0.15   32109054 34499000 36238693 35968398 33858372 31688697
+          32109054
+   SIGN   33268891 34688771 34548601 33478656 33268891
+
+   &&
+
+   ... WIND ...
+
+   0.15   31959068 34819001 36448626 36258363 33808334 31488666
+          31959068
+
+   &&
+
+   CATEGORICAL OUTLOOK POINTS DAY 1
+
+   ... CATEGORICAL ...
+
+   SLGT   31959068 34819001 36448626 36258363 33808334 31488666
+          31959068
+   TSTM   29939497 33229567 38348963 40048386 38358052 33827949
+          99999 47451224 48251051 46841061 47451224
+
+   &&
+
+   THERE IS A SLGT RISK OF SVR TSTMS TO THE RIGHT OF A LINE FROM 35 SE
+   GLH 30 NNE GWO 20 SW MSL 25 N ANB 30 WSW LGC 20 NNE MCB 35 SE GLH.
+
+*/
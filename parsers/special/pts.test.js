@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import parsePTS from './pts.js';
+import { pointInGeometry } from '../../utils/storm-track.js';
+
+function signedArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+}
+
+// From the Gulf north to 35N, east to 80W and south into the Atlantic; the risk area is to the right of the line
+const product = `
+   ... CATEGORICAL ...
+
+   SLGT   28509000 35009000 35008000 30508000
+   MRGL   31008800 33008800 33008400 31008400 31008800
+   TSTM   28509000 35009000 35008000 30508000 99999 47451224 48251051
+          46841061 47451224
+
+   &&
+`.split('\n');
+
+test('lines that run to the US border become polygons closed along the border, risk area to the right', () => {
+    const { features } = parsePTS(product);
+    const slight = features.find((feature) => feature.properties.label === 'SLGT');
+
+    assert.equal(slight.geometry.type, 'MultiPolygon');
+    assert.equal(slight.geometry.coordinates.length, 1);
+
+    const ring = slight.geometry.coordinates[0][0];
+    assert.deepEqual(ring[0], ring[ring.length - 1]);
+    assert.ok(signedArea(ring) > 0, 'outer ring is counter-clockwise');
+
+    // Inside: Alabama, Georgia and the Florida peninsula; outside: west, north and east of the line, and offshore
+    for (const point of [[-86.8, 33.5], [-84.4, 33.7], [-81.5, 28.5], [-82.5, 30.5]]) {
+        assert.ok(pointInGeometry(point, slight.geometry), `${point} is in the risk area`);
+    }
+    for (const point of [[-95, 33], [-85, 38], [-78, 36], [-87, 27]]) {
+        assert.ok(!pointInGeometry(point, slight.geometry), `${point} is outside the risk area`);
+    }
+});
+
+test('closed outlines are kept as they are', () => {
+    const { features } = parsePTS(product);
+    const marginal = features.find((feature) => feature.properties.label === 'MRGL');
+
+    assert.deepEqual(marginal.geometry.coordinates, [[[[-88, 31], [-88, 33], [-84, 33], [-84, 31], [-88, 31]]]]);
+});
+
+test('every line of an outline becomes its own polygon', () => {
+    const { features } = parsePTS(product);
+    const thunder = features.find((feature) => feature.properties.label === 'TSTM');
+
+    assert.equal(thunder.geometry.coordinates.length, 2);
+    assert.ok(pointInGeometry([-84.4, 33.7], thunder.geometry));
+    assert.ok(pointInGeometry([-111.5, 47.5], thunder.geometry));
+});
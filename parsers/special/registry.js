@@ -0,0 +1,43 @@
+// Registry of special (non-alert) products such as COD
+// Each product module registers a handler:
+//     code        - 3 letter product code from the NWWS-OI message (e.g. "COD"), also the code on /product/:code
+//     productCodes - Optional further product codes handled the same way (e.g. the SAW/SEL/WOU/WCN products of a watch)
+//     alertProductCodes - Optional product codes (from code/productCodes) whose segments also go through the alert pipeline
+//                   after the handler ran (e.g. the WOU/WCN watch VTEC products)
+//     awipsIds    - Optional AWIPS IDs (e.g. ["SWOMCD"]) this handler takes over from the handler of their product code
+//     storageKey  - Name the parsed product is stored under (products/<storageKey>.json)
+//     parse       - (productText, context) => data to store, or null to skip the product
+//                   context: { parser, officeCode, awipsId, issuedAt, previous }, previous is the stored data
+//     serialize   - (data, query) => response body for /product/:code, query is the request query string
+//     getEvent    - Optional (data) => { type, data } (or an array of them) pushed to SSE subscribers after the product is stored
+
+const handlers = new Map();
+const awipsIdHandlers = new Map();
+
+export function registerSpecialProduct(handler) {
+    for (const field of ['code', 'storageKey', 'parse', 'serialize']) {
+        if (!handler?.[field]) {
+            throw new Error(`Special product handler is missing "${field}"`);
+        }
+    }
+
+    for (const code of [handler.code, ...(handler.productCodes || [])].map((code) => code.toUpperCase())) {
+        if (handlers.has(code)) {
+            throw new Error(`Special product ${code} is already registered`);
+        }
+        handlers.set(code, handler);
+    }
+
+    for (const awipsId of handler.awipsIds || []) {
+        awipsIdHandlers.set(awipsId.toUpperCase(), handler);
+    }
+}
+
+// Handler for a product code, or for the product's AWIPS ID when a handler claims it
+export function getSpecialProduct(code, awipsId = null) {
+    return awipsIdHandlers.get(String(awipsId || '').toUpperCase()) || handlers.get(String(code || '').toUpperCase()) || null;
+}
+
+export function getSpecialProductCodes() {
+    return Array.from(handlers.keys());
+}
@@ -0,0 +1,152 @@
+// Helpers shared by the SPC product parsers (PTS outlooks, mesoscale discussions, watches)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pointInGeometry } from '../../utils/storm-track.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONUS_BORDER_FILE = path.join(__dirname, '..', '..', 'lookups', 'conus_border.json');
+
+// Counter-clockwise ring of the lower 48 border, loaded on first use
+let conusBorder = null;
+// SPC points are LLLLOOOO in hundredths of a degree; longitudes past 100W drop the leading 1
+// Returns [lon, lat] or null if the token is not a point
+export function parseSpcPoint(token) {
+    if (!/^\d{8}$/.test(token)) {
+        return null;
+    }
+
+    const lat = parseInt(token.slice(0, 4), 10) / 100;
+    let lon = parseInt(token.slice(4), 10) / 100;
+    if (lon < 50) {
+        lon += 100;
+    }
+
+    return [-lon, lat];
+}
+
+// Outlook lines that do not end where they start are open: they run to the US border with the risk area to their right
+function isOpenSpcOutline(points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    return first[0] !== last[0] || first[1] !== last[1];
+}
+
+// Turn a list of points into a closed polygon ring set, null if there are too few points
+// Only for outlines that describe the whole area (watches, mesoscale discussions), where a missing closing point is added
+export function closeSpcOutline(points) {
+    if (points.length < 3) {
+        return null;
+    }
+
+    const ring = points.slice();
+    if (isOpenSpcOutline(ring)) {
+        ring.push([...ring[0]]);
+    }
+
+    return ring.length >= 4 ? [ring] : null;
+}
+
+function getConusBorder() {
+    if (!conusBorder) {
+        conusBorder = JSON.parse(fs.readFileSync(CONUS_BORDER_FILE, 'utf8')).geometry;
+    }
+    return conusBorder;
+}
+
+// Where the segment a-b crosses the border edge c-d: t along a-b, u along c-d, or null
+function segmentIntersection(a, b, c, d) {
+    const rx = b[0] - a[0];
+    const ry = b[1] - a[1];
+    const sx = d[0] - c[0];
+    const sy = d[1] - c[1];
+    const denominator = rx * sy - ry * sx;
+    if (denominator === 0) {
+        return null;
+    }
+
+    const t = ((c[0] - a[0]) * sy - (c[1] - a[1]) * sx) / denominator;
+    const u = ((c[0] - a[0]) * ry - (c[1] - a[1]) * rx) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u < 1 ? { t, u } : null;
+}
+
+// Closest point of the border to a point, as { edge, u, point }
+function nearestBorderPoint(point, border) {
+    let nearest = null;
+    for (let edge = 0; edge < border.length - 1; edge++) {
+        const [x1, y1] = border[edge];
+        const [x2, y2] = border[edge + 1];
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const u = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point[0] - x1) * dx + (point[1] - y1) * dy) / lengthSquared));
+        const candidate = [x1 + u * dx, y1 + u * dy];
+        const distance = Math.hypot(point[0] - candidate[0], point[1] - candidate[1]);
+        if (!nearest || distance < nearest.distance) {
+            nearest = { edge, u, point: candidate, distance };
+        }
+    }
+    return nearest;
+}
+
+// Close an outlook line into a polygon ring set along the CONUS border, null if it does not reach the lower 48
+// Closed lines are kept as they are. An open line is cut where it first enters and last leaves the border
+// (ends inside the border are moved to the nearest border point), and the ring continues along the border
+// back to where the line entered, on the side to the right of the line, which is the risk area
+export function closeSpcOutlookLine(points) {
+    if (points.length < 2) {
+        return null;
+    }
+    if (!isOpenSpcOutline(points)) {
+        return closeSpcOutline(points);
+    }
+
+    const borderGeometry = getConusBorder();
+    const border = borderGeometry.coordinates[0];
+    const edgeCount = border.length - 1;
+
+    // Crossings ordered along the line
+    const crossings = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        for (let edge = 0; edge < edgeCount; edge++) {
+            const hit = segmentIntersection(points[i], points[i + 1], border[edge], border[edge + 1]);
+            if (hit) {
+                const point = [points[i][0] + hit.t * (points[i + 1][0] - points[i][0]), points[i][1] + hit.t * (points[i + 1][1] - points[i][1])];
+                crossings.push({ position: i + hit.t, edge, u: hit.u, point });
+            }
+        }
+    }
+    crossings.sort((a, b) => a.position - b.position);
+
+    const startsInside = pointInGeometry(points[0], borderGeometry);
+    const endsInside = pointInGeometry(points[points.length - 1], borderGeometry);
+    const entry = startsInside ? { position: 0, ...nearestBorderPoint(points[0], border) } : crossings[0];
+    const exit = endsInside ? { position: points.length - 1, ...nearestBorderPoint(points[points.length - 1], border) } : crossings[crossings.length - 1];
+    if (!entry || !exit || exit.position < entry.position) {
+        return null;
+    }
+
+    // The line between the two border points
+    const ring = [entry.point];
+    for (let i = Math.floor(entry.position) + 1; i <= Math.ceil(exit.position) - 1; i++) {
+        ring.push(points[i]);
+    }
+    if (startsInside) ring.splice(1, 0, points[0]);
+    if (endsInside) ring.push(points[points.length - 1]);
+    ring.push(exit.point);
+
+    // The border runs counter-clockwise, so the risk area on the right is closed by walking it backwards
+    let steps = (exit.edge - entry.edge + edgeCount) % edgeCount;
+    if (steps === 0 && exit.u < entry.u) {
+        steps = edgeCount;
+    }
+    for (let step = 0; step < steps; step++) {
+        ring.push(border[(exit.edge - step + edgeCount) % edgeCount]);
+    }
+    ring.push([...entry.point]);
+
+    // Walked clockwise, GeoJSON outer rings are counter-clockwise
+    const rounded = ring.reverse().map(([lon, lat]) => [Math.round(lon * 1000) / 1000, Math.round(lat * 1000) / 1000]);
+    return rounded.length >= 4 ? [rounded] : null;
+}
@@ -0,0 +1,15 @@
+// Severe weather outlook narratives "SWO"
+// Stored as the raw product text; mesoscale discussions (SWOMCD) are handled by mcd.js
+
+import { registerSpecialProduct } from './registry.js';
+
+registerSpecialProduct({
+    code: 'SWO',
+    storageKey: 'swo',
+    parse: (productText, context) => ({
+        awipsId: context.awipsId,
+        issuedAt: context.issuedAt,
+        text: productText
+    }),
+    serialize: (data) => data
+});
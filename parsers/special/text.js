@@ -0,0 +1,10 @@
+// Text helpers shared by the special product parsers
+
+// NWWS-OI text often has a blank line after every line, which breaks fields that end at a blank line
+export function normalizeProductText(productText) {
+    let text = String(productText || '').replace(/\r\n?/g, '\n');
+    if (!/[^\n]\n[^\n]/.test(text)) {
+        text = text.replace(/\n\n/g, '\n');
+    }
+    return text;
+}
@@ -0,0 +1,320 @@
+// File to merge the products of SPC tornado and severe thunderstorm watches into one watch entity per watch number
+//     SAW - Aviation watch notice with the watch box (LAT...LON parallelogram)
+//     SEL - Public watch text, PDS wording
+//     WWP - Watch probabilities and attributes
+//     WOU - Watch outline update, county UGCs per office with VTEC
+//     WCN - Local office clearance notice, VTEC CAN/EXP clears counties from the watch
+// WOU and WCN also become TO.A / SV.A alerts; the watch number is their VTEC event tracking number,
+// so a watch links to its alerts through alertEvent (KWNS.TO.A.0045) and alerts to the watch through properties.watchNumber
+
+import { registerSpecialProduct } from './registry.js';
+import { parseSpcPoint, closeSpcOutline } from './spc.js';
+import { normalizeProductText } from './text.js';
+import { dayTimeToIso } from '../../utils/time.js';
+import { buildUgcGeometry } from '../../utils/ugc-geometry.js';
+
+// Cancelled and expired watches stay in the store this long before they are dropped
+const ENDED_WATCH_RETENTION_MS = 60 * 60 * 1000;
+
+const sawHeaderRegex = /WW\s+0*(\d+)\s+(TORNADO|SEVERE TSTM)\s+((?:[A-Z]{2}\s+)*?)(\d{6})Z\s*-\s*(\d{6})Z/;
+const sawCancelRegex = /CANCEL\s+WW\s+0*(\d+)/;
+const selNumberRegex = /(Tornado|Severe Thunderstorm) Watch Number\s+0*(\d+)/i;
+const selCancelRegex = /(?:cancelled|canceled)\s+(?:Tornado|Severe Thunderstorm) Watch\s+(?:Number\s+)?0*(\d+)/i;
+const wwpHeaderRegex = /WW\s+0*(\d+)\s+(TORNADO|SEVERE TSTM)\b/;
+const latLonRegex = /LAT\.{3}LON((?:\s+\d{8})+)/;
+const stormMotionRegex = /^(\d{3})(\d{2,3})$/;
+
+// WWP probability table rows
+const probabilityRows = {
+    tornadoes2OrMore: /PROB OF 2 OR MORE TORNADOES\s*:\s*([<>]?\d+)%/,
+    strongTornadoes1OrMore: /PROB OF 1 OR MORE STRONG \/EF2-EF5\/ TORNADOES\s*:\s*([<>]?\d+)%/,
+    severeWind10OrMore: /PROB OF 10 OR MORE SEVERE WIND EVENTS\s*:\s*([<>]?\d+)%/,
+    wind65KnotsOrMore: /PROB OF 1 OR MORE WIND EVENTS >= 65 KNOTS\s*:\s*([<>]?\d+)%/,
+    severeHail10OrMore: /PROB OF 10 OR MORE SEVERE HAIL EVENTS\s*:\s*([<>]?\d+)%/,
+    hail2InchesOrMore: /PROB OF 1 OR MORE HAIL EVENTS >= 2 INCHES\s*:\s*([<>]?\d+)%/,
+    combinedSevere6OrMore: /PROB OF 6 OR MORE COMBINED SEVERE HAIL\/WIND EVENTS\s*:\s*([<>]?\d+)%/
+};
+
+function getWatch(watches, number, type = null) {
+    const key = String(number);
+    if (!watches[key]) {
+        watches[key] = {
+            number,
+            type: null,
+            phenomena: null,
+            alertEvent: null,
+            status: 'active',
+            issuedAt: null,
+            validFrom: null,
+            expiresAt: null,
+            updatedAt: null,
+            states: [],
+            isPds: false,
+            probabilities: null,
+            attributes: null,
+            box: null,
+            ugcs: [],
+            geometry: null,
+            cancelledAt: null
+        };
+    }
+
+    const watch = watches[key];
+    if (type) {
+        watch.type = type;
+        watch.phenomena = type === 'tornado' ? 'TO' : 'SV';
+        watch.alertEvent = `KWNS.${watch.phenomena}.A.${String(number).padStart(4, '0')}`;
+    }
+    return watch;
+}
+
+function watchType(text) {
+    return /^TORNADO$/i.test(text) ? 'tornado' : 'severe thunderstorm';
+}
+
+function applySAW(watches, text, context) {
+    const cancelMatch = text.match(sawCancelRegex);
+    if (cancelMatch) {
+        const watch = getWatch(watches, parseInt(cancelMatch[1], 10));
+        cancelWatch(watch, context.issuedAt);
+        return [watch];
+    }
+
+    const headerMatch = text.match(sawHeaderRegex);
+    if (!headerMatch) {
+        return [];
+    }
+
+    const [, number, type, states, validFrom, validTo] = headerMatch;
+    const watch = getWatch(watches, parseInt(number, 10), watchType(type));
+    watch.states = states.trim().split(/\s+/).filter(Boolean);
+    watch.validFrom = dayTimeToIso(validFrom, context.issuedAt);
+    watch.expiresAt = dayTimeToIso(validTo, context.issuedAt);
+    watch.issuedAt = watch.issuedAt || context.issuedAt;
+
+    // The watch box is a parallelogram of four corners
+    const latLonMatch = text.match(latLonRegex);
+    const points = latLonMatch ? latLonMatch[1].trim().split(/\s+/).map(parseSpcPoint).filter(Boolean) : [];
+    const rings = closeSpcOutline(points);
+    if (rings) {
+        watch.box = { type: 'Polygon', coordinates: rings };
+    }
+
+    return [watch];
+}
+
+function applySEL(watches, text, context) {
+    const cancelMatch = text.match(selCancelRegex);
+    if (cancelMatch) {
+        const watch = getWatch(watches, parseInt(cancelMatch[1], 10));
+        cancelWatch(watch, context.issuedAt);
+        return [watch];
+    }
+
+    const numberMatch = text.match(selNumberRegex);
+    if (!numberMatch) {
+        return [];
+    }
+
+    const watch = getWatch(watches, parseInt(numberMatch[2], 10), watchType(numberMatch[1]));
+    watch.issuedAt = watch.issuedAt || context.issuedAt;
+    watch.isPds = watch.isPds || /PARTICULARLY DANGEROUS SITUATION/i.test(text);
+    return [watch];
+}
+
+function applyWWP(watches, text) {
+    const headerMatch = text.match(wwpHeaderRegex);
+    if (!headerMatch) {
+        return [];
+    }
+
+    const watch = getWatch(watches, parseInt(headerMatch[1], 10), watchType(headerMatch[2]));
+
+    // Probabilities keep their "<" / ">" qualifier, e.g. ">95"
+    watch.probabilities = {};
+    for (const [name, regex] of Object.entries(probabilityRows)) {
+        watch.probabilities[name] = text.match(regex)?.[1] || null;
+    }
+
+    const maxHail = text.match(/MAX HAIL \/INCHES\/\s*:\s*([\d.]+)/)?.[1];
+    const maxWind = text.match(/MAX WIND GUSTS SURFACE \/KNOTS\/\s*:\s*(\d+)/)?.[1];
+    const maxTops = text.match(/MAX TOPS \/X 100 FEET\/\s*:\s*(\d+)/)?.[1];
+    const motion = text.match(/MEAN STORM MOTION VECTOR \/DEGREES AND KNOTS\/\s*:\s*(\d+)/)?.[1]?.match(stormMotionRegex);
+    watch.attributes = {
+        maxHailInches: maxHail ? parseFloat(maxHail) : null,
+        maxWindKnots: maxWind ? parseInt(maxWind, 10) : null,
+        maxTopsFeet: maxTops ? parseInt(maxTops, 10) * 100 : null,
+        stormMotion: motion ? { direction: parseInt(motion[1], 10), speed: parseInt(motion[2], 10) } : null
+    };
+
+    const pdsMatch = text.match(/PARTICULARLY DANGEROUS SITUATION\s*:\s*(YES|NO)/);
+    if (pdsMatch) {
+        watch.isPds = pdsMatch[1] === 'YES';
+    }
+
+    return [watch];
+}
+
+// WOU and WCN: every segment lists counties with the VTEC action for the watch
+function applyCountyUpdates(watches, context) {
+    const touched = new Set();
+
+    for (const segment of context.parser.getSegments()) {
+        const ugcs = segment.getProperty('ugcs') || [];
+
+        for (const vtec of segment.getProperty('vtecList') || []) {
+            if (vtec.significance !== 'A' || !['TO', 'SV'].includes(vtec.phenomena)) {
+                continue;
+            }
+
+            const watch = getWatch(watches, parseInt(vtec.eventTrackingNumber, 10), vtec.phenomena === 'TO' ? 'tornado' : 'severe thunderstorm');
+            const current = new Set(watch.ugcs);
+
+            if (vtec.actionCode === 'CAN' || vtec.actionCode === 'EXP') {
+                ugcs.forEach((ugc) => current.delete(ugc));
+            } else if (vtec.actionCode !== 'ROU') {
+                ugcs.forEach((ugc) => current.add(ugc));
+                if (vtec.endTimeISO) {
+                    watch.expiresAt = vtec.endTimeISO;
+                }
+                watch.status = 'active';
+                watch.cancelledAt = null;
+            }
+
+            watch.ugcs = Array.from(current).sort();
+            watch.issuedAt = watch.issuedAt || context.issuedAt;
+
+            // Every county cleared means the watch has ended
+            if (watch.ugcs.length === 0) {
+                cancelWatch(watch, context.issuedAt);
+            }
+            touched.add(watch);
+        }
+    }
+
+    // County shapes follow the remaining counties
+    for (const watch of touched) {
+        watch.geometry = buildUgcGeometry(watch.ugcs)?.geometry || null;
+    }
+
+    return Array.from(touched);
+}
+
+function cancelWatch(watch, cancelledAt) {
+    watch.status = 'cancelled';
+    watch.cancelledAt = cancelledAt || new Date().toISOString();
+}
+
+function hasEnded(watch, now = Date.now()) {
+    if (watch.status === 'cancelled') return true;
+    return watch.expiresAt ? new Date(watch.expiresAt).getTime() <= now : false;
+}
+
+function parseWatchProduct(productText, context) {
+    const now = Date.now();
+
+    // Drop watches that ended a while ago
+    const watches = {};
+    for (const [key, watch] of Object.entries(context.previous?.watches || {})) {
+        const endedAt = watch.status === 'cancelled' ? watch.cancelledAt : watch.expiresAt;
+        if (!hasEnded(watch, now) || now - new Date(endedAt).getTime() < ENDED_WATCH_RETENTION_MS) {
+            watches[key] = { ...watch };
+        }
+    }
+
+    const text = normalizeProductText(productText);
+    let touched;
+    switch ((context.awipsId || '').slice(0, 3)) {
+        case 'SAW':
+            touched = applySAW(watches, text, context);
+            break;
+        case 'SEL':
+            touched = applySEL(watches, text, context);
+            break;
+        case 'WWP':
+            touched = applyWWP(watches, text);
+            break;
+        case 'WOU':
+        case 'WCN':
+            touched = applyCountyUpdates(watches, context);
+            break;
+        default:
+            touched = [];
+    }
+
+    if (touched.length === 0) {
+        return null;
+    }
+
+    const updatedAt = new Date().toISOString();
+    touched.forEach((watch) => { watch.updatedAt = updatedAt; });
+
+    return { latest: touched.map((watch) => watch.number), watches };
+}
+
+// ?number=45 returns a single watch, otherwise all watches that have not ended
+function serializeWatches(data, query = {}) {
+    const watches = Object.values(data?.watches || {});
+
+    if (query.number) {
+        return watches.find((watch) => watch.number === parseInt(query.number, 10)) || null;
+    }
+
+    return { watches: watches.filter((watch) => !hasEnded(watch)).sort((a, b) => a.number - b.number) };
+}
+
+registerSpecialProduct({
+    code: 'WATCH',
+    productCodes: ['SAW', 'SEL', 'WWP', 'WOU', 'WCN'],
+    alertProductCodes: ['WOU', 'WCN'],
+    storageKey: 'watches',
+    parse: parseWatchProduct,
+    serialize: serializeWatches,
+    getEvent: (data) => data.latest.map((number) => ({ type: 'WATCH', data: data.watches[String(number)] }))
+});
+
+
+/*
+
+EXAMPLE SAW PRODUCT
+
+WWUS30 KWNS 171945
+SAW5
+SPC AWW 171945
+WW 45 TORNADO AL MS 172000Z - 180300Z
+AXIS..60 STATUTE MILES EAST AND WEST OF LINE..
+35SW MEI/MERIDIAN MS/ - 40NE HSV/HUNTSVILLE AL/
+..AVIATION COORDS.. 50NM E/W /38NE LBY - 46NE VUZ/
+HAIL SURFACE AND ALOFT..2 INCHES. WIND GUSTS..60 KNOTS.
+MAX TOPS TO 500. MEAN STORM MOTION VECTOR 24035.
+
+LAT...LON 32088961 35198761 35198542 32088750
+
+THIS IS AN APPROXIMATION TO THE WATCH AREA.  FOR A
+COMPLETE DEPICTION OF THE WATCH SEE WOUS64 KWNS
+FOR WOU5.
+
+
+EXAMPLE WWP PRODUCT (shortened)
+
+WWUS40 KWNS 171945
+WWP5
+
+   WW 0045 TORNADO AL MS 172000Z - 180300Z
+   PROBABILITY TABLE:
+   PROB OF 2 OR MORE TORNADOES                : >95%
+   PROB OF 1 OR MORE STRONG /EF2-EF5/ TORNADOES : 80%
+   PROB OF 10 OR MORE SEVERE WIND EVENTS      : 40%
+   PROB OF 1 OR MORE WIND EVENTS >= 65 KNOTS  : 20%
+   PROB OF 10 OR MORE SEVERE HAIL EVENTS      : 50%
+   PROB OF 1 OR MORE HAIL EVENTS >= 2 INCHES  : 40%
+   PROB OF 6 OR MORE COMBINED SEVERE HAIL/WIND EVENTS : >95%
+   &&
+   ATTRIBUTE TABLE:
+   MAX HAIL /INCHES/                          : 2.0
+   MAX WIND GUSTS SURFACE /KNOTS/             : 60
+   MAX TOPS /X 100 FEET/                      : 500
+   MEAN STORM MOTION VECTOR /DEGREES AND KNOTS/ : 24035
+   PARTICULARLY DANGEROUS SITUATION           : YES
+
+*/
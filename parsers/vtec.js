@@ -15,13 +15,10 @@ function _convertVtecTimeToISO(vtecTime) {
 
 
 export default function parseVTEC(vtecString) {
-    var vtecString = vtecString;
-
     // VTECs look like this:
     // /k.aaa.cccc.pp.s.####.yymmddThhnnZB-yymmddThhnnZE/
     // See https://www.weather.gov/bmx/vtec for details
-
-    const sampleVtec = '/O.NEW.KBMX.SV.A.0002.051013T1424Z-051013T1700Z/';
+    // Example: /O.NEW.KBMX.SV.A.0002.051013T1424Z-051013T1700Z/
 
     // Split VTEC at "." and remove slashes
     const vtecParts = vtecString.split('.').map(part => part.replace(/\//g, ''));
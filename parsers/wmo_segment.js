@@ -0,0 +1,274 @@
+// Import VTEC parser
+import parseVTEC from './vtec.js';
+
+// Import UGC utilities
+import { parseUgcLine, ugcToFips } from '../utils/ugc.js';
+
+// Import time utilities
+import { parseDayTime, parseUtcClockTime, clockTimeToIso } from '../utils/time.js';
+
+// Import IBW tag parser
+import { parseIbwTags, IbwDetection, IbwDamageThreat } from './ibw.js';
+
+// Regex patterns
+// Issuance time line, e.g. "710 PM CDT Sun Oct 18 2026" (older text may use "7:10 PM")
+const issuanceTime = String.raw`(?:\d{1,2}:\d{2}|\d{3,4}) [AP]M [A-Z]{3,4} [A-Za-z]{3} [A-Za-z]{3} \d{1,2} \d{4}`;
+const productMessageRegex = new RegExp(`${issuanceTime}\\s+(?:[\\s\\S]*?${issuanceTime}\\s+)?([\\s\\S]+)`);
+const vtecRegex = /(\/[^/]+?\.\d+\.\d{6}T\d{4}Z-\d{6}T\d{4}Z\/)/g;
+
+// UGC line example: OKZ004>008-012-014-180000-
+// Long UGC lines wrap, so allow newlines until the DDHHMM purge time
+const ugcLineRegex = /^([A-Z]{2}[CZ](?:\d{3}|ALL)[A-Z0-9>\-\s]*?\d{6}-)/m;
+
+// Storm tracking parameters
+const latLonRegex = /LAT\.{3}LON((?:\s+\d{4,5})+)/;
+// Line storms list several locations; longitudes east of 100W have 4 digits
+const timeMotLocRegex = /TIME\.{3}MOT\.{3}LOC\s+(\d{4})Z\s+(\d+)DEG\s+(\d+)KT((?:\s+\d{4}\s+\d{4,5})+)/;
+const eastHemisphereOffices = new Set(['PGUM']);
+
+
+// One UGC segment of a WMO text product (everything up to a $$)
+// Segments carry their own zones, VTEC, storm parameters and text
+export default class WMOSegment {
+    constructor(parser, segmentText, index) {
+        // parser is the WMOParser this segment belongs to
+        this.parser = parser;
+        this.segmentText = segmentText;
+        this.index = index;
+
+        // Run processing
+        this._process();
+    }
+
+    _process() {
+        // Times that had to be guessed (unknown time zone, missing issuance time, ...)
+        this.timeGuesses = [];
+
+        // UGC line
+        const ugcMatch = this.segmentText.match(ugcLineRegex);
+        this.ugcLine = ugcMatch ? ugcMatch[1].replace(/\s+/g, '') : null;
+
+        // Expanded UGCs (these are used to calculate geometry if LAT and LON are not present)
+        const { ugcs, purgeTime } = parseUgcLine(this.ugcLine);
+        this.ugcs = ugcs;
+        this.fips = ugcs.map(ugcToFips).filter(Boolean);
+        this.purgeTime = this._recordTime('purgeTime', parseDayTime(purgeTime, this.parser.issuedAt));
+
+        // Extract VTEC if present
+        const vtecMatches = Array.from(this.segmentText.matchAll(vtecRegex));
+        this.vtecList = vtecMatches.map((match) => {
+            try {
+                return parseVTEC(match[1]);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+        this.vtec = this._selectPrimaryVtec(this.vtecList);
+
+        // Main segment message
+        const productMessageMatch = this.segmentText.match(productMessageRegex);
+        const rawMessage = productMessageMatch ? productMessageMatch[1].trim() : this.segmentText.trim();
+
+        // Extract storm tracking parameters before cleaning up the message
+        this._extractStormParameters(rawMessage);
+
+        // Clean up the message by removing extra newlines and spaces
+        this.productMessage = rawMessage ? rawMessage.replace(/\n\n/g, '\n') : null;
+
+        // Expiration from VTEC, the message text or the purge time
+        this.expiration = this._getExpiration();
+    }
+
+    _recordTime(field, { iso, guessed }) {
+        if (iso && guessed) {
+            this.timeGuesses.push(field);
+        }
+        return iso;
+    }
+
+    _extractStormParameters(rawMessage) {
+        if (!rawMessage) {
+            this.geometry = null;
+            this.timeMotLoc = null;
+            this.ibwTags = parseIbwTags(null);
+            return;
+        }
+
+        const useEastHemisphereLon = eastHemisphereOffices.has(this.parser.officeCode);
+
+        // Extract LAT...LON
+        const latLonMatch = rawMessage.match(latLonRegex);
+        if (latLonMatch) {
+            const coords = latLonMatch[1].trim().split(/\s+/).map(n => parseInt(n));
+
+            // Coords are pairs: lat, lon, lat, lon
+            const coordinates = [];
+            for (let i = 0; i < coords.length; i += 2) {
+                const lat = coords[i] / 100;
+                const lonValue = coords[i + 1] / 100;
+                const lon = useEastHemisphereLon ? lonValue : -lonValue;
+                coordinates.push([lon, lat]);
+            }
+
+            // Close the polygon if the last coordinate doesn't match the first
+            const first = coordinates[0];
+            const last = coordinates[coordinates.length - 1];
+            if (coordinates.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) {
+                coordinates.push([first[0], first[1]]);
+            }
+
+            this.geometry = {
+                type: 'Polygon',
+                coordinates: [coordinates]
+            };
+        } else {
+            this.geometry = null;
+        }
+
+        // Extract TIME...MOT...LOC
+        const timeMotLocMatch = rawMessage.match(timeMotLocRegex);
+        if (timeMotLocMatch) {
+            const [, time, direction, speed, locationText] = timeMotLocMatch;
+            const values = locationText.trim().split(/\s+/).map(n => parseInt(n));
+            const locations = [];
+            for (let i = 0; i < values.length; i += 2) {
+                const lonValue = values[i + 1] / 100;
+                locations.push({
+                    lat: values[i] / 100,
+                    lon: useEastHemisphereLon ? lonValue : -lonValue
+                });
+            }
+
+            this.timeMotLoc = {
+                time: `${time}Z`,
+                observedAt: this._recordTime('timeMotLoc', parseUtcClockTime(time, this.parser.issuedAt)),
+                direction: parseInt(direction),
+                speed: parseInt(speed),
+                location: locations[0],
+                locations
+            };
+        } else {
+            this.timeMotLoc = null;
+        }
+
+        // Impact-based warning tags (HAIL THREAT, MAX WIND GUST, ...)
+        this.ibwTags = parseIbwTags(rawMessage);
+    }
+
+    _selectPrimaryVtec(vtecList) {
+        if (!Array.isArray(vtecList) || vtecList.length === 0) {
+            return null;
+        }
+
+        const preferActions = new Set(['NEW', 'CON', 'EXT', 'EXA', 'EXB', 'UPG', 'COR']);
+        const preferred = vtecList.find((vtec) => preferActions.has(vtec.actionCode));
+
+        return preferred || vtecList[0];
+    }
+
+    getProperty(propertyName) {
+        // Function to return a segment property
+        // Product level properties (ttaaii, awipsId, ...) come from the parent parser
+        switch (propertyName) {
+            case 'segmentIndex':
+                return this.index;
+            case 'ugcLine':
+                return this.ugcLine;
+            case 'zoneIds':
+            case 'ugcs':
+                return this.ugcs;
+            case 'fips':
+                return this.fips;
+            case 'purgeTime':
+                return this.purgeTime;
+            case 'geometry':
+                return this.geometry;
+            case 'timeMotLoc':
+                return this.timeMotLoc;
+            case 'ibwTags':
+                return this.ibwTags;
+            case 'maxHail':
+                return this.ibwTags.maxHail;
+            case 'maxWind':
+                return this.ibwTags.maxWind;
+            case 'isPds':
+                return this._messageIncludes('particularly dangerous situation');
+            case 'isConsiderable':
+                return this.ibwTags.thunderstormDamageThreat === IbwDamageThreat.CONSIDERABLE;
+            case 'isDestructive':
+                return this.ibwTags.thunderstormDamageThreat === IbwDamageThreat.DESTRUCTIVE;
+            case 'isEmergency':
+                return this.ibwTags.tornadoDamageThreat === IbwDamageThreat.CATASTROPHIC ||
+                    this.ibwTags.flashFloodDamageThreat === IbwDamageThreat.CATASTROPHIC ||
+                    this._messageIncludes('tornado emergency') ||
+                    this._messageIncludes('flash flood emergency');
+            case 'isTorPossible':
+                return this.ibwTags.tornadoDetection === IbwDetection.POSSIBLE;
+            case 'isWaterspoutPossible':
+                return this.ibwTags.waterspoutDetection === IbwDetection.POSSIBLE;
+            case 'isTorConfirmed':
+                return this.ibwTags.tornadoDetection === IbwDetection.OBSERVED;
+            case 'isTorRadarIndicated':
+                return this.ibwTags.tornadoDetection === IbwDetection.RADAR_INDICATED;
+            case 'vtec':
+                return this.vtec;
+            case 'vtecList':
+                return this.vtecList;
+            case 'tornado':
+                return this.ibwTags.tornadoDetection || this.ibwTags.waterspoutDetection;
+            case 'expiration':
+                return this.expiration;
+            case 'timeGuesses':
+                return this.timeGuesses;
+            case 'id': {
+                // Unique, constant ID that will not change if updated.
+                // Products can carry several events, so the VTEC event is part of the ID
+                const baseId = `${this.parser.officeCode}-${this.parser.awipsId}`;
+                return this.vtec ? `${baseId}-${this.vtec.phenomena}.${this.vtec.significance}.${this.vtec.eventTrackingNumber}` : baseId;
+            }
+            default:
+                return this.parser._getProductProperty(propertyName) ?? null;
+        }
+    }
+
+    getRawMessage() {
+        // Function to return the raw message text
+        return this.productMessage || null;
+    }
+
+    getMessage() {
+        return this.productMessage || null;
+    }
+
+    _messageIncludes(text) {
+        return this.productMessage?.toLowerCase().includes(text) || false;
+    }
+
+    _getExpiration() {
+        try {
+            // Try VTEC endTime first
+            if (this.vtec && this.vtec.endTimeISO) {
+                return this.vtec.endTimeISO;
+            }
+
+            // Try extracting from "THROUGH/UNTIL HH:MM AM/PM TZ" format
+            // Example: "THROUGH 500 PM CST" or "UNTIL 5:00 PM CST"
+            const throughMatch = this.productMessage.match(/(?:THROUGH|UNTIL)\s+(\d{1,2}:\d{2}|\d{3,4})\s+([AP]M)\s+([A-Z]{2,4})\b/i);
+            if (throughMatch) {
+                const parsed = this.parser._parseTimeString(throughMatch[1]);
+                if (parsed) {
+                    return this._recordTime('expiration', clockTimeToIso({ ...parsed, ampm: throughMatch[2] }, throughMatch[3], {
+                        issuedAt: this.parser.issuedAt,
+                        officeCode: this.parser.officeCode
+                    }));
+                }
+            }
+
+            // Fallback to the UGC line purge time: [ZONE]-[ZONE]-DDHHMM-
+            // Example: ALZ014-015-262100-
+            return this.purgeTime || null;
+        } catch (err) {
+            return null;
+        }
+    }
+}
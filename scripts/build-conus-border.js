@@ -0,0 +1,124 @@
+/*
+CONUS Border Builder
+
+Builds lookups/conus_border.json, the outline SPC outlook lines are closed against (see parsers/special/spc.js),
+from the U.S. Census nation outline published as TopoJSON by the us-atlas package.
+
+Usage:
+    npm install --no-save us-atlas
+    node scripts/build-conus-border.js node_modules/us-atlas/nation-10m.json
+
+Options:
+    --tolerance <deg> Douglas-Peucker simplification tolerance in degrees (default 0.01, SPC points are 0.01 degree)
+    --out <file>      Output file (default ./lookups/conus_border.json)
+*/
+
+import fs from 'fs';
+
+// Decode the delta encoded, quantized arcs of a TopoJSON topology to [lon, lat] lines
+function decodeArcs(topology) {
+    const { scale, translate } = topology.transform;
+    return topology.arcs.map((arc) => {
+        let x = 0;
+        let y = 0;
+        return arc.map(([dx, dy]) => {
+            x += dx;
+            y += dy;
+            return [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+        });
+    });
+}
+
+// Join the arcs of a TopoJSON ring; a negative index (~i) is arc i reversed
+function buildRing(arcIndexes, arcs) {
+    const ring = [];
+    for (const index of arcIndexes) {
+        const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+        ring.push(...(ring.length > 0 ? arc.slice(1) : arc));
+    }
+    return ring;
+}
+
+function ringArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+}
+
+// Douglas-Peucker line simplification
+function simplify(points, tolerance) {
+    if (tolerance <= 0 || points.length <= 4) return points;
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const [x1, y1] = points[first];
+        const [x2, y2] = points[last];
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const [x, y] = points[i];
+            const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+            const distance = Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+function parseArgs(argv) {
+    const args = { input: null, tolerance: 0.01, out: 'lookups/conus_border.json' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--tolerance') {
+            args.tolerance = parseFloat(argv[++i]);
+        } else if (argv[i] === '--out') {
+            args.out = argv[++i];
+        } else {
+            args.input = argv[i];
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.input) {
+    console.error('Usage: node scripts/build-conus-border.js <nation-10m.json> [--tolerance <deg>] [--out <file>]');
+    process.exit(1);
+}
+
+const topology = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+const arcs = decodeArcs(topology);
+
+// The lower 48 is by far the largest outer ring of the nation; Alaska, Hawaii, territories and islands are left out
+const outerRings = topology.objects.nation.geometries
+    .flatMap((geometry) => geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs)
+    .map((polygon) => buildRing(polygon[0], arcs))
+    .filter((ring) => ring.every(([lon]) => lon > -130 && lon < -60));
+const conus = outerRings.sort((a, b) => Math.abs(ringArea(b)) - Math.abs(ringArea(a)))[0];
+
+// Counter-clockwise like GeoJSON outer rings, rounded to 0.001 degree
+let ring = simplify(conus, args.tolerance).map(([lon, lat]) => [Math.round(lon * 1000) / 1000, Math.round(lat * 1000) / 1000]);
+if (ringArea(ring) < 0) {
+    ring = ring.reverse();
+}
+
+fs.writeFileSync(args.out, JSON.stringify({ name: 'CONUS', geometry: { type: 'Polygon', coordinates: [ring] } }), 'utf8');
+console.log(`Wrote ${ring.length} points to ${args.out}`);
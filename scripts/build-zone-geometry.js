@@ -0,0 +1,326 @@
+/*
+Zone Geometry Builder
+
+Builds lookups/zone_geometry.json and lookups/fire_zone_geometry.json from the NWS zone shapefiles
+(https://www.weather.gov/gis/PublicZones, FireZones, MarineZones, OffshoreZones).
+The output uses the same { code: { name, geometry } } layout as lookups/fips_county_geometry.json.
+
+Usage:
+    npm run build:zones
+    node scripts/build-zone-geometry.js --forecast z_05mr24 --marine mz05mr24 --marine oz05mr24 --fire fz05mr24
+
+Without shapefile arguments the current NWS releases are downloaded from weather.gov.
+Each argument is either the URL of a zipped shapefile or the path of a shapefile without extension
+(the .shp and .dbf files must sit side by side).
+Options:
+    --precision <n>   Decimal places kept for coordinates (default 4, same as the county table)
+    --tolerance <deg> Douglas-Peucker simplification tolerance in degrees (default 0.001, 0 disables)
+    --out <dir>       Output directory (default ./lookups)
+
+The generated tables are committed like the county table; rerun this after a new NWS zone release.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+// Current NWS releases, used when no shapefiles are passed
+const SHAPEFILE_BASE_URL = 'https://www.weather.gov/source/gis/Shapefiles/WSOM';
+const DEFAULT_SHAPEFILES = {
+    forecast: [`${SHAPEFILE_BASE_URL}/z_05mr24.zip`],
+    marine: [`${SHAPEFILE_BASE_URL}/mz05mr24.zip`, `${SHAPEFILE_BASE_URL}/oz05mr24.zip`],
+    fire: [`${SHAPEFILE_BASE_URL}/fz05mr24.zip`]
+};
+
+// Read the attribute table of a shapefile (.dbf)
+// Deleted records stay in the file flagged with '*', they are returned as null so records still line up with shapes
+export function readDbf(buffer) {
+    const recordCount = buffer.readUInt32LE(4);
+    const headerLength = buffer.readUInt16LE(8);
+    const recordLength = buffer.readUInt16LE(10);
+
+    // Field descriptors are 32 bytes each and end with 0x0D
+    const fields = [];
+    for (let offset = 32; buffer[offset] !== 0x0D; offset += 32) {
+        fields.push({
+            name: buffer.toString('latin1', offset, offset + 11).replace(/\0.*$/, '').trim(),
+            length: buffer[offset + 16]
+        });
+    }
+
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+        const start = headerLength + i * recordLength;
+        if (buffer[start] === 0x2A) {
+            records.push(null);
+            continue;
+        }
+
+        let offset = start + 1; // Skip deletion flag
+        const record = {};
+        for (const field of fields) {
+            record[field.name] = buffer.toString('latin1', offset, offset + field.length).trim();
+            offset += field.length;
+        }
+        records.push(record);
+    }
+
+    return records;
+}
+
+// Read the polygon rings of a shapefile (.shp), one entry per record
+function readShp(buffer) {
+    const shapes = [];
+    let offset = 100; // Skip file header
+
+    while (offset < buffer.length) {
+        const contentLength = buffer.readInt32BE(offset + 4) * 2; // Length is in 16 bit words
+        const content = offset + 8;
+        const shapeType = buffer.readInt32LE(content);
+
+        // Polygon, PolygonZ and PolygonM share the same layout up to the points
+        if ([5, 15, 25].includes(shapeType)) {
+            const numParts = buffer.readInt32LE(content + 36);
+            const numPoints = buffer.readInt32LE(content + 40);
+            const partsStart = content + 44;
+            const pointsStart = partsStart + numParts * 4;
+
+            const rings = [];
+            for (let part = 0; part < numParts; part++) {
+                const start = buffer.readInt32LE(partsStart + part * 4);
+                const end = part + 1 < numParts ? buffer.readInt32LE(partsStart + (part + 1) * 4) : numPoints;
+                const ring = [];
+                for (let point = start; point < end; point++) {
+                    const pointOffset = pointsStart + point * 16;
+                    ring.push([buffer.readDoubleLE(pointOffset), buffer.readDoubleLE(pointOffset + 8)]);
+                }
+                rings.push(ring);
+            }
+            shapes.push(rings);
+        } else {
+            shapes.push(null); // Null or unsupported shape
+        }
+
+        offset = content + contentLength;
+    }
+
+    return shapes;
+}
+
+// Extract the files of a zip archive (stored or deflated entries only)
+function readZip(buffer) {
+    // The end of central directory record sits at the end, after an optional comment
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054B50) end--;
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const files = {};
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < entryCount; i++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // Local headers repeat the name and may carry a different extra field
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files[name] = data;
+        } else if (method === 8) {
+            files[name] = zlib.inflateRawSync(data);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+// Read the .dbf and .shp of a zipped shapefile URL or a local shapefile path
+async function loadShapefile(source) {
+    if (!/^https?:\/\//.test(source)) {
+        return { dbf: fs.readFileSync(`${source}.dbf`), shp: fs.readFileSync(`${source}.shp`) };
+    }
+
+    const response = await fetch(source);
+    if (!response.ok) {
+        throw new Error(`Download of ${source} failed: ${response.status} ${response.statusText}`);
+    }
+
+    const files = readZip(Buffer.from(await response.arrayBuffer()));
+    const find = (extension) => Object.entries(files).find(([name]) => name.toLowerCase().endsWith(extension))?.[1];
+    const dbf = find('.dbf');
+    const shp = find('.shp');
+    if (!dbf || !shp) {
+        throw new Error(`${source} does not contain a .shp and .dbf file`);
+    }
+    return { dbf, shp };
+}
+
+// Shapefile outer rings are clockwise, holes are counter-clockwise
+function isClockwise(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return sum > 0;
+}
+
+// Douglas-Peucker line simplification
+function simplify(points, tolerance) {
+    if (tolerance <= 0 || points.length <= 4) return points;
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const [x1, y1] = points[first];
+        const [x2, y2] = points[last];
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const [x, y] = points[i];
+            const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+            const distance = Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+// Round, simplify and drop repeated points; rings that collapse are dropped
+function cleanRing(ring, precision, tolerance) {
+    const factor = 10 ** precision;
+    const rounded = [];
+    for (const [lon, lat] of simplify(ring, tolerance)) {
+        const point = [Math.round(lon * factor) / factor, Math.round(lat * factor) / factor];
+        const previous = rounded[rounded.length - 1];
+        if (!previous || previous[0] !== point[0] || previous[1] !== point[1]) {
+            rounded.push(point);
+        }
+    }
+    return rounded.length >= 4 ? rounded : null;
+}
+
+// Convert shapefile rings to Polygon or MultiPolygon coordinates
+function ringsToCoordinates(rings, precision, tolerance) {
+    const polygons = [];
+    for (const ring of rings) {
+        const cleaned = cleanRing(ring, precision, tolerance);
+        if (!cleaned) continue;
+
+        if (isClockwise(ring) || polygons.length === 0) {
+            polygons.push([cleaned]);
+        } else {
+            polygons[polygons.length - 1].push(cleaned);
+        }
+    }
+
+    if (polygons.length === 0) return null;
+    return polygons.length === 1 ? polygons[0] : polygons;
+}
+
+// UGC code of a shapefile record: marine/offshore files carry it in ID, forecast/fire files in STATE + ZONE
+function getUgc(record) {
+    if (record.ID && /^[A-Z]{2}Z\d{3}$/.test(record.ID)) return record.ID;
+    if (record.STATE && record.ZONE) return `${record.STATE}Z${record.ZONE.padStart(3, '0')}`;
+    return null;
+}
+
+export async function addShapefile(table, source, precision = 4, tolerance = 0.001) {
+    const { dbf, shp } = await loadShapefile(source);
+    const records = readDbf(dbf);
+    const shapes = readShp(shp);
+    let added = 0;
+
+    records.forEach((record, i) => {
+        if (!record) return;
+
+        const ugc = getUgc(record);
+        const geometry = shapes[i] ? ringsToCoordinates(shapes[i], precision, tolerance) : null;
+        if (!ugc || !geometry) return;
+
+        // Some zones are split over several records (islands), merge them
+        const existing = table[ugc];
+        if (existing) {
+            const toMulti = (coords) => Array.isArray(coords[0][0][0]) ? coords : [coords];
+            existing.geometry = [...toMulti(existing.geometry), ...toMulti(geometry)];
+        } else {
+            table[ugc] = { name: record.NAME || record.SHORTNAME || null, geometry };
+            added++;
+        }
+    });
+
+    console.log(`${path.basename(source).replace(/\.zip$/i, '')}: ${added} zones`);
+}
+
+function parseArgs(argv) {
+    const args = { forecast: [], marine: [], fire: [], precision: 4, tolerance: 0.001, out: 'lookups' };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (Array.isArray(args[key])) {
+            args[key].push(/^https?:\/\//.test(value) ? value : value.replace(/\.(shp|dbf)$/i, ''));
+        } else if (key in args) {
+            args[key] = key === 'out' ? value : parseFloat(value);
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+
+    if (args.forecast.length + args.marine.length + args.fire.length === 0) {
+        Object.assign(args, DEFAULT_SHAPEFILES);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const zones = {};
+    for (const source of [...args.forecast, ...args.marine]) {
+        await addShapefile(zones, source, args.precision, args.tolerance);
+    }
+
+    const fireZones = {};
+    for (const source of args.fire) {
+        await addShapefile(fireZones, source, args.precision, args.tolerance);
+    }
+
+    fs.mkdirSync(args.out, { recursive: true });
+    for (const [table, fileName, label] of [[zones, 'zone_geometry.json', 'zones'], [fireZones, 'fire_zone_geometry.json', 'fire zones']]) {
+        if (Object.keys(table).length > 0) {
+            fs.writeFileSync(path.join(args.out, fileName), JSON.stringify(table), 'utf8');
+            console.log(`Wrote ${Object.keys(table).length} ${label} to ${path.join(args.out, fileName)}`);
+        }
+    }
+}
+
+// Only build when run as a script, the readers are imported by the tests
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error(`Error building zone geometry: ${err.cause?.message || err.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { readDbf, addShapefile } from './build-zone-geometry.js';
+
+// dBASE table with STATE, ZONE and NAME character fields; rows are [deleted, state, zone, name]
+function buildDbf(rows) {
+    const fields = [['STATE', 2], ['ZONE', 3], ['NAME', 10]];
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, [, length]) => sum + length, 0);
+
+    const header = Buffer.alloc(headerLength);
+    header[0] = 3;
+    header.writeUInt32LE(rows.length, 4);
+    header.writeUInt16LE(headerLength, 8);
+    header.writeUInt16LE(recordLength, 10);
+    fields.forEach(([name, length], i) => {
+        header.write(name, 32 + i * 32, 'latin1');
+        header[32 + i * 32 + 11] = 0x43; // C(haracter)
+        header[32 + i * 32 + 16] = length;
+    });
+    header[headerLength - 1] = 0x0D;
+
+    const records = rows.map(([deleted, ...values]) => (deleted ? '*' : ' ') + values.map((value, i) => value.padEnd(fields[i][1])).join(''));
+    return Buffer.concat([header, Buffer.from(records.join(''), 'latin1'), Buffer.from([0x1A])]);
+}
+
+// Shapefile with one single-ring polygon record per ring
+function buildShp(rings) {
+    const records = rings.map((ring, i) => {
+        const content = Buffer.alloc(44 + 4 + ring.length * 16);
+        content.writeInt32LE(5, 0);
+        content.writeInt32LE(1, 36);
+        content.writeInt32LE(ring.length, 40);
+        content.writeInt32LE(0, 44);
+        ring.forEach(([x, y], point) => {
+            content.writeDoubleLE(x, 48 + point * 16);
+            content.writeDoubleLE(y, 56 + point * 16);
+        });
+
+        const recordHeader = Buffer.alloc(8);
+        recordHeader.writeInt32BE(i + 1, 0);
+        recordHeader.writeInt32BE(content.length / 2, 4);
+        return Buffer.concat([recordHeader, content]);
+    });
+
+    const header = Buffer.alloc(100);
+    header.writeInt32BE(9994, 0);
+    header.writeInt32BE((100 + records.reduce((sum, record) => sum + record.length, 0)) / 2, 24);
+    header.writeInt32LE(1000, 28);
+    header.writeInt32LE(5, 32);
+    return Buffer.concat([header, ...records]);
+}
+
+// Clockwise squares, the outer ring orientation of shapefiles
+const square = (lon, lat) => [[lon, lat], [lon, lat + 0.3], [lon + 0.3, lat + 0.3], [lon + 0.3, lat], [lon, lat]];
+
+test('records flagged as deleted are returned as null so they still line up with their shapes', () => {
+    const records = readDbf(buildDbf([[true, 'AL', '001', 'Deleted'], [false, 'AL', '013', 'St. Clair']]));
+
+    assert.equal(records[0], null);
+    assert.deepEqual(records[1], { STATE: 'AL', ZONE: '013', NAME: 'St. Clair' });
+});
+
+test('deleted records are left out of the zone table', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const basePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sparkalerts-zones-')), 'z_test');
+    fs.writeFileSync(`${basePath}.dbf`, buildDbf([[true, 'AL', '001', 'Deleted'], [false, 'AL', '013', 'St. Clair']]));
+    fs.writeFileSync(`${basePath}.shp`, buildShp([square(-87.5, 34.5), square(-86.5, 33.5)]));
+
+    const table = {};
+    await addShapefile(table, basePath);
+
+    assert.deepEqual(Object.keys(table), ['ALZ013']);
+    assert.equal(table.ALZ013.name, 'St. Clair');
+    assert.deepEqual(table.ALZ013.geometry[0][0], [-86.5, 33.5]);
+});
@@ -0,0 +1,94 @@
+/*
+Archive Replay
+
+Replays a time window of the raw product archive through the full ingest pipeline into a scratch database,
+so a bad parse can be reproduced without touching the live alerts.json.
+
+Usage:
+    node scripts/replay-archive.js --from 2026-03-17T22:00Z --to 2026-03-18T02:00Z --speed 60
+
+Run from the SparkAlerts directory (lookups and config.json are read from the working directory).
+Options:
+    --from <time>     Start of the window, ISO 8601 UTC (required)
+    --to <time>       End of the window, ISO 8601 UTC (default now)
+    --speed <n>       Replay speed, 1 is real time, 60 plays an hour per minute, "max" does not wait (default 1)
+    --archive <dir>   Archive directory (default "archive.path" from config.json or ./archive)
+    --out <dir>       Scratch database directory, cleared before the replay (default ./replay-db)
+*/
+
+import fs from 'fs';
+import path from 'path';
+import NWWSOI from '../nwwsoi.js';
+import ArchiveSource from '../sources/archive_source.js';
+import { setDataDirectory, readAlertDatabase } from '../database.js';
+import { getArchiveSettings } from '../archive.js';
+
+function parseArgs(argv) {
+    const args = { from: null, to: null, speed: '1', archive: null, out: './replay-db' };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in args) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown option or missing value: ${argv[i]}`);
+        }
+        args[key] = argv[i + 1];
+    }
+    return args;
+}
+
+let args;
+try {
+    args = parseArgs(process.argv.slice(2));
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+if (!args.from) {
+    console.error('Usage: node scripts/replay-archive.js --from <time> [--to <time>] [--speed <n|max>] [--archive <dir>] [--out <dir>]');
+    process.exit(1);
+}
+
+const speed = args.speed === 'max' ? 0 : parseFloat(args.speed);
+if (!Number.isFinite(speed) || speed < 0) {
+    console.error('--speed must be a positive number or "max"');
+    process.exit(1);
+}
+
+// config.json is optional here, it only provides the product filter and archive location
+let config = {};
+try { config = JSON.parse(fs.readFileSync('./config.json', 'utf8')); }
+catch {}
+
+// Never replay into the live database
+const outDirectory = path.resolve(args.out);
+if (outDirectory === process.cwd()) {
+    console.error('--out must not be the working directory, it would overwrite the live database');
+    process.exit(1);
+}
+
+// Start from an empty scratch database
+for (const fileName of ['alerts.db', 'alerts.db-wal', 'alerts.db-shm', 'alerts.json', 'test_alerts.json']) {
+    fs.rmSync(path.join(outDirectory, fileName), { force: true });
+}
+fs.rmSync(path.join(outDirectory, 'products'), { recursive: true, force: true });
+setDataDirectory(outDirectory);
+
+let newAlerts = 0;
+let updatedAlerts = 0;
+const source = new ArchiveSource({
+    path: args.archive || getArchiveSettings(config?.archive).directory,
+    from: args.from,
+    to: args.to || undefined,
+    speed,
+    onFinished: (state) => {
+        console.log(`\nReplayed ${state.productsReplayed} of ${state.productsTotal} products (${state.productsSkipped} skipped)`);
+        console.log(`${newAlerts} new alerts, ${updatedAlerts} updates, ${readAlertDatabase().length} alerts in ${path.join(outDirectory, 'alerts.db')}`);
+        process.exitCode = state.state === 'finished' ? 0 : 1;
+    }
+});
+
+// Replays are not archived again
+new NWWSOI(config?.products || {}, {
+    onNew: () => newAlerts++,
+    onUpdate: () => updatedAlerts++
+}, source, { enabled: false });
@@ -0,0 +1,117 @@
+// Import filesystem
+import fs from 'fs';
+
+// Import archive worker
+import { listArchivedProducts } from '../archive.js';
+
+// Import stanza builder
+import { toProductStanza } from './product_stanza.js';
+
+
+// Replay a time window of the raw product archive (see archive.js)
+// Products keep their original spacing divided by speed; a speed of 0 replays as fast as possible
+// See XMPPSource for the ingest source interface
+export default class ArchiveSource {
+    constructor(options = {}) {
+        this.directory = options.path || './archive';
+        this.from = new Date(options.from);
+        this.to = options.to ? new Date(options.to) : new Date();
+        this.speed = options.speed ?? 1;
+        this.onFinished = options.onFinished || (() => {});
+        this.onStanza = () => {};
+
+        this.state = {
+            state: 'idle',
+            since: new Date().toISOString(),
+            path: this.directory,
+            from: isNaN(this.from.getTime()) ? null : this.from.toISOString(),
+            to: isNaN(this.to.getTime()) ? null : this.to.toISOString(),
+            speed: this.speed,
+            productsTotal: 0,
+            productsReplayed: 0,
+            productsSkipped: 0,
+            replayedUpTo: null,
+            lastError: null
+        };
+        this.timer = null;
+    }
+
+    start(onStanza) {
+        this.onStanza = onStanza;
+
+        if (!this.state.from || !this.state.to) {
+            console.error('Archive replay needs a valid from and to time');
+            this.state.lastError = 'Invalid replay window';
+            this._setState('failed');
+            this.onFinished(this.getState());
+            return;
+        }
+
+        let products;
+        try {
+            products = listArchivedProducts(this.directory, this.from, this.to);
+        } catch (err) {
+            console.error(err.message);
+            this.state.lastError = err.message;
+            this._setState('failed');
+            this.onFinished(this.getState());
+            return;
+        }
+
+        this.state.productsTotal = products.length;
+        console.log(`Replaying ${products.length} archived products from ${this.state.from} to ${this.state.to} at ${this.speed > 0 ? `${this.speed}x` : 'full'} speed`);
+
+        this._setState('replaying');
+        this._replayNext(products, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this._setState('stopped');
+    }
+
+    getState() {
+        return { source: 'archive', ...this.state };
+    }
+
+    _replayNext(products, index) {
+        if (this.state.state !== 'replaying') {
+            return;
+        }
+
+        if (index >= products.length) {
+            console.log(`Finished replaying ${this.state.productsReplayed} archived products`);
+            this._setState('finished');
+            this.onFinished(this.getState());
+            return;
+        }
+
+        const { filePath, receivedAt } = products[index];
+        try {
+            const stanza = toProductStanza(fs.readFileSync(filePath, 'utf8'), { receivedAt });
+            if (stanza) {
+                this.onStanza(stanza);
+                this.state.productsReplayed++;
+            } else {
+                console.warn('Skipping archived file that is not a product:', filePath);
+                this.state.productsSkipped++;
+            }
+        } catch (err) {
+            console.error(`Error replaying ${filePath}:`, err.message);
+            this.state.lastError = err.message;
+            this.state.productsSkipped++;
+        }
+        this.state.replayedUpTo = receivedAt.toISOString();
+
+        // Wait as long as the gap to the next product was when it was received
+        const next = products[index + 1];
+        const delay = next && this.speed > 0 ? (next.receivedAt - receivedAt) / this.speed : 0;
+        this.timer = setTimeout(() => this._replayNext(products, index + 1), delay);
+    }
+
+    _setState(state) {
+        this.state.state = state;
+        this.state.since = new Date().toISOString();
+    }
+}
@@ -0,0 +1,110 @@
+// Import filesystem
+import fs from 'fs';
+import path from 'path';
+
+// Import stanza builder
+import { toProductStanza } from './product_stanza.js';
+
+
+// Replay a directory of saved products (raw text, CAP XML or serialized stanzas, e.g. ./demo)
+// Files are read recursively and replayed in file name order, then the source reports "finished"
+// See XMPPSource for the ingest source interface
+export default class DirectorySource {
+    constructor(options = {}) {
+        this.directory = options.path || './demo';
+        this.intervalMs = options.intervalMs ?? 250;
+        this.onStanza = () => {};
+
+        this.state = {
+            state: 'idle',
+            since: new Date().toISOString(),
+            path: this.directory,
+            filesTotal: 0,
+            filesReplayed: 0,
+            filesSkipped: 0,
+            lastError: null
+        };
+        this.timer = null;
+    }
+
+    start(onStanza) {
+        this.onStanza = onStanza;
+
+        let files;
+        try {
+            files = this._listFiles(this.directory);
+        } catch (err) {
+            console.error(`Error reading replay directory ${this.directory}:`, err.message);
+            this.state.lastError = err.message;
+            this._setState('failed');
+            return;
+        }
+
+        // Saved file names usually start with a timestamp, so name order is issuance order
+        files.sort((a, b) => path.basename(a).localeCompare(path.basename(b)) || a.localeCompare(b));
+        this.state.filesTotal = files.length;
+        console.log(`Replaying ${files.length} products from ${this.directory}`);
+
+        this._setState('replaying');
+        this._replayNext(files, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this._setState('stopped');
+    }
+
+    getState() {
+        return { source: 'directory', ...this.state };
+    }
+
+    _replayNext(files, index) {
+        if (this.state.state !== 'replaying') {
+            return;
+        }
+
+        if (index >= files.length) {
+            console.log(`Finished replaying ${this.state.filesReplayed} products from ${this.directory}`);
+            this._setState('finished');
+            return;
+        }
+
+        const file = files[index];
+        try {
+            const content = fs.readFileSync(file, 'utf8');
+            const stanza = toProductStanza(content, { receivedAt: fs.statSync(file).mtime });
+            if (stanza) {
+                this.onStanza(stanza);
+                this.state.filesReplayed++;
+            } else {
+                console.warn('Skipping replay file without a WMO header:', file);
+                this.state.filesSkipped++;
+            }
+        } catch (err) {
+            console.error(`Error replaying ${file}:`, err.message);
+            this.state.lastError = err.message;
+            this.state.filesSkipped++;
+        }
+
+        this.timer = setTimeout(() => this._replayNext(files, index + 1), this.intervalMs);
+    }
+
+    _listFiles(directory) {
+        const files = [];
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...this._listFiles(entryPath));
+            } else if (entry.isFile() && !entry.name.startsWith('.')) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
+    _setState(state) {
+        this.state.state = state;
+        this.state.since = new Date().toISOString();
+    }
+}
@@ -0,0 +1,102 @@
+// Import XML builder and parser (used by @xmpp/client internally)
+import { xml } from '@xmpp/client';
+import parseXML from '@xmpp/xml/lib/parse.js';
+
+// Import crypto for product IDs
+import crypto from 'crypto';
+
+// WMO header example: WFUS54 KOUN 172343
+const wmoHeaderRegex = /^([A-Z]{4}[0-9]{2})\s+([A-Z]{4})\s+(\d{6})/m;
+
+// The AWIPS ID (e.g. TOROUN) is the line after the WMO header
+const awipsIdRegex = /^[A-Z]{4}[0-9]{2}\s+[A-Z]{4}\s+\d{6}[^\n]*\n+([A-Z0-9]{4,6})\s*$/m;
+
+// CAP messages without a WMO header carry the same values as parameters
+const capWmoIdentifierRegex = /<valueName>WMOidentifier<\/valueName>\s*<value>\s*([A-Z]{4}[0-9]{2})\s+([A-Z]{4})\s+(\d{6})/;
+const capAwipsIdRegex = /<valueName>AWIPSidentifier<\/valueName>\s*<value>\s*([A-Z0-9]{4,6})/;
+const capStartRegex = /<\?xml|<alert[\s>]/;
+
+
+// Resolve a WMO DDHHMM time to ISO, using the latest matching time that is not after the reference time
+function ddhhmmToIso(ddhhmm, referenceTime) {
+    const day = parseInt(ddhhmm.slice(0, 2), 10);
+    const hour = parseInt(ddhhmm.slice(2, 4), 10);
+    const minute = parseInt(ddhhmm.slice(4, 6), 10);
+
+    // Allow a day of clock skew before falling back to the previous month
+    const latest = referenceTime.getTime() + 24 * 60 * 60 * 1000;
+    for (let monthOffset = 0; monthOffset < 3; monthOffset++) {
+        const date = new Date(Date.UTC(referenceTime.getUTCFullYear(), referenceTime.getUTCMonth() - monthOffset, day, hour, minute));
+        if (date.getUTCDate() === day && date.getTime() <= latest) {
+            return date.toISOString();
+        }
+    }
+
+    return referenceTime.toISOString();
+}
+
+/**
+ * Build an NWWS-OI style groupchat stanza from a raw text or CAP product
+ * The stanza has the same body summary and x element attributes as a live NWWS-OI message,
+ * so products from any ingest source run through the same pipeline
+ * @param {string} productText - Raw product text, starting at or before the WMO header
+ * @param {Object} options - Build options
+ * @param {Date} options.receivedAt - When the product was received, used to resolve the DDHHMM issue time (default now)
+ * @returns {Object|null} Stanza, or null if the product has no WMO header or AWIPS ID
+ */
+export function buildProductStanza(productText, options = {}) {
+    // Strip the SOH/ETX framing used by NOAAPort/LDM feeds and normalize line endings
+    const text = String(productText || '').replace(/[\x01\x03]/g, '').replace(/\r\n?/g, '\n');
+    const receivedAt = options.receivedAt || new Date();
+
+    let ttaaii, cccc, ddhhmm, awipsId;
+    const headerMatch = text.match(wmoHeaderRegex);
+    const capMatch = text.match(capWmoIdentifierRegex);
+    if (headerMatch) {
+        [, ttaaii, cccc, ddhhmm] = headerMatch;
+        awipsId = text.match(awipsIdRegex)?.[1] || text.match(capAwipsIdRegex)?.[1];
+    } else if (capMatch) {
+        [, ttaaii, cccc, ddhhmm] = capMatch;
+        awipsId = text.match(capAwipsIdRegex)?.[1];
+    }
+
+    if (!ttaaii || !awipsId) {
+        return null;
+    }
+
+    // CAP messages are sent under an XO.... header on NWWS-OI
+    if (capStartRegex.test(text) && !ttaaii.startsWith('XO')) {
+        ttaaii = 'XOUS' + ttaaii.slice(4);
+    }
+
+    const issue = ddhhmmToIso(ddhhmm, receivedAt);
+    const id = crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+
+    return xml('message', { type: 'groupchat' },
+        xml('body', {}, `${cccc} issues ${awipsId.slice(0, 3)} valid ${issue}`),
+        xml('x', { xmlns: 'nwws-oi', cccc, ttaaii, issue, awipsid: awipsId, id }, text)
+    );
+}
+
+/**
+ * Turn the contents of a saved product into a stanza
+ * Accepts a serialized NWWS-OI stanza (the format the old ./demo dumps used) or a raw product
+ * @param {string} content - File or stream contents
+ * @param {Object} options - Build options, see buildProductStanza
+ * @returns {Object|null} Stanza, or null if the content is not a product
+ */
+export function toProductStanza(content, options = {}) {
+    const trimmed = String(content || '').trim();
+
+    if (trimmed.startsWith('<message')) {
+        try {
+            const stanza = parseXML(trimmed);
+            return stanza.getChild('x', 'nwws-oi') ? stanza : null;
+        } catch (err) {
+            console.warn('Unable to parse saved stanza:', err.message);
+            return null;
+        }
+    }
+
+    return buildProductStanza(trimmed, options);
+}
@@ -0,0 +1,123 @@
+// Import TCP server
+import net from 'net';
+
+// Import stanza builder
+import { toProductStanza } from './product_stanza.js';
+
+// Products in a stream end with ETX (\x03), the framing NOAAPort/LDM feeds use
+const PRODUCT_END = '\x03';
+
+
+// Read text products from a local TCP port, or from stdin when no port is set
+// e.g. `cat products.txt | node index.js` or `nc localhost 8434 < products.txt`
+// A product still buffered when its connection closes is processed too
+// See XMPPSource for the ingest source interface
+export default class StreamSource {
+    constructor(options = {}) {
+        this.port = options.port || null;
+        this.host = options.host || '127.0.0.1';
+        this.onStanza = () => {};
+
+        this.state = {
+            state: 'idle',
+            since: new Date().toISOString(),
+            input: this.port ? `tcp://${this.host}:${this.port}` : 'stdin',
+            connections: 0,
+            productsReceived: 0,
+            productsSkipped: 0,
+            lastProductAt: null,
+            lastError: null
+        };
+        this.server = null;
+    }
+
+    start(onStanza) {
+        this.onStanza = onStanza;
+
+        if (!this.port) {
+            this._readStream(process.stdin);
+            this._setState('listening');
+            return;
+        }
+
+        this.server = net.createServer((socket) => {
+            this.state.connections++;
+            socket.on('close', () => this.state.connections--);
+            this._readStream(socket);
+        });
+
+        this.server.on('error', (err) => {
+            console.error('Product stream error:', err.message);
+            this.state.lastError = err.message;
+            this._setState('failed');
+        });
+
+        this.server.listen(this.port, this.host, () => {
+            console.log(`Listening for text products on ${this.state.input}`);
+            this._setState('listening');
+        });
+    }
+
+    stop() {
+        this.server?.close();
+        this.server = null;
+        this._setState('stopped');
+    }
+
+    getState() {
+        return { source: 'stream', ...this.state };
+    }
+
+    _readStream(stream) {
+        let buffer = '';
+        stream.setEncoding('utf8');
+
+        stream.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf(PRODUCT_END)) !== -1) {
+                this._handleProduct(buffer.slice(0, end));
+                buffer = buffer.slice(end + 1);
+            }
+        });
+
+        stream.on('end', () => {
+            if (buffer.trim()) {
+                this._handleProduct(buffer);
+            }
+            buffer = '';
+        });
+
+        stream.on('error', (err) => {
+            console.error('Product stream error:', err.message);
+            this.state.lastError = err.message;
+        });
+    }
+
+    _handleProduct(text) {
+        if (!text.trim()) {
+            return;
+        }
+
+        const stanza = toProductStanza(text);
+        if (!stanza) {
+            console.warn('Skipping streamed text without a WMO header');
+            this.state.productsSkipped++;
+            return;
+        }
+
+        this.state.productsReceived++;
+        this.state.lastProductAt = new Date().toISOString();
+        try {
+            this.onStanza(stanza);
+        } catch (err) {
+            console.error('Error processing streamed product:', err.message);
+            this.state.lastError = err.message;
+        }
+    }
+
+    _setState(state) {
+        this.state.state = state;
+        this.state.since = new Date().toISOString();
+    }
+}
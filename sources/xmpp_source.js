@@ -0,0 +1,305 @@
+// Import XMPP client
+import { client, xml } from '@xmpp/client';
+
+// Import dotenv to load environment variables
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Import database worker
+import { readIngestCheckpoint, writeIngestCheckpoint } from '../database.js';
+
+
+// NWWS-OI chatroom and the nickname used to join it
+const NWWS_ROOM = 'nwws@conference.nwws-oi.weather.gov';
+const NWWS_NICKNAME = 'SparkRadar';
+
+// Connection defaults, overridden by the "nwwsoi" section of config.json
+const DEFAULT_RESOURCE = 'SparkAlerts NWWS Ingest';
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 10;
+const DEFAULT_INITIAL_RECONNECT_DELAY = 2000;
+const MAX_RECONNECT_DELAY = 5 * 60 * 1000;
+const DEFAULT_STALL_TIMEOUT_MINUTES = 10;
+
+// Catch-up after a reconnect: history is requested from a little before the last processed stanza
+// to cover clock differences with the server, the overlap is dropped by stanza ID
+const HISTORY_OVERLAP_MS = 2 * 60 * 1000;
+const MAX_REMEMBERED_STANZA_IDS = 1000;
+
+// The checkpoint is kept in memory and written at most this often (and on stop())
+const CHECKPOINT_FLUSH_INTERVAL_MS = 5000;
+
+
+// Live NWWS-OI chatroom over XMPP
+// Ingest sources share one interface: start(onStanza) begins delivering product stanzas,
+// stop() ends it and getState() reports the source state for the API
+export default class XMPPSource {
+    constructor(connectionConfig = {}) {
+        this.onStanza = () => {};
+
+        // Store connection configuration
+        this.resource = connectionConfig?.resource || DEFAULT_RESOURCE;
+        this.maxReconnectAttempts = connectionConfig?.maxReconnectAttempts ?? DEFAULT_MAX_RECONNECT_ATTEMPTS;
+        this.initialReconnectDelay = connectionConfig?.initialReconnectDelay ?? DEFAULT_INITIAL_RECONNECT_DELAY;
+        this.stallTimeoutMs = (connectionConfig?.stallTimeoutMinutes ?? DEFAULT_STALL_TIMEOUT_MINUTES) * 60 * 1000;
+
+        // Connection state, exposed to the API through getState()
+        this.connectionState = {
+            state: 'disconnected',
+            since: new Date().toISOString(),
+            reconnectAttempts: 0,
+            lastStanzaAt: null,
+            lastError: null
+        };
+        this.reconnectTimer = null;
+        this.stallTimer = null;
+
+        // Last processed stanza, persisted so history can be requested after a disconnect or restart
+        const checkpoint = readIngestCheckpoint();
+        this.lastProcessedAt = checkpoint.lastProcessedAt;
+        this.processedStanzaIds = new Set(checkpoint.processedStanzaIds);
+        this.checkpointDirty = false;
+        this.checkpointTimer = null;
+    }
+
+    start(onStanza) {
+        this.onStanza = onStanza;
+
+        this.xmpp = client({
+            service: 'xmpp://nwws-oi.weather.gov',
+            domain: 'nwws-oi.weather.gov',
+            resource: this.resource,
+            username: process.env.XMPP_USERNAME,
+            password: process.env.XMPP_PASSWORD,
+        });
+
+        // Reconnects are handled by _scheduleReconnect() instead of the client's fixed 1 second retry
+        this.xmpp.reconnect.stop();
+
+        this.xmpp.on('error', (err) => {
+            console.error('XMPP Error:', err);
+            this.connectionState.lastError = err?.message || String(err);
+        });
+
+        this.xmpp.on('status', (status) => {
+            if (status === 'connecting' || status === 'opening') {
+                this._setState(this.connectionState.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+            }
+        });
+
+        this.xmpp.on('disconnect', () => {
+            if (this.connectionState.state === 'stopped') {
+                return;
+            }
+            console.warn('Disconnected from NWWS-OI');
+            this._setState('disconnected');
+            this._scheduleReconnect();
+        });
+
+        this.xmpp.on('online', async (address) => {
+            console.log('Connected as', address.toString(), '\n');
+            this.connectionState.reconnectAttempts = 0;
+            this._setState('online');
+
+            // Join chatroom (again, after a reconnect)
+            try {
+                const presence = xml( 'presence', { to: `${NWWS_ROOM}/${NWWS_NICKNAME}` }, this._buildHistoryRequest());
+                await this.xmpp.send(presence);
+            } catch (err) {
+                console.error('Error joining NWWS-OI chatroom:', err.message);
+            }
+        });
+
+        this.xmpp.on('stanza', (stanza) => {
+            // Our own presence echoed back by the chatroom confirms the join
+            if (stanza.is('presence') && stanza.attrs.from === `${NWWS_ROOM}/${NWWS_NICKNAME}`) {
+                if (stanza.attrs.type === 'error') {
+                    console.error('Error joining NWWS-OI chatroom:', stanza.toString());
+                } else if (stanza.attrs.type !== 'unavailable') {
+                    console.log('Joined NWWS-OI chatroom\n');
+                    this._markStanzaReceived();
+                    this._setState('joined');
+                }
+            }
+        });
+
+        this.xmpp.on('stanza', (stanza) => {
+            if (stanza.is('message') && stanza.attrs.type === 'groupchat') {
+                this._markStanzaReceived();
+
+                // History sent after a reconnect overlaps what was already processed
+                const replayInfo = this._getStanzaReplayInfo(stanza);
+                if (this.processedStanzaIds.has(replayInfo.key)) {
+                    return;
+                }
+
+                try {
+                    this.onStanza(stanza);
+                } finally {
+                    this._recordProcessedStanza(replayInfo);
+                }
+            }
+        });
+
+        this._start();
+        this._startStallDetector();
+        this.checkpointTimer = setInterval(() => this._flushCheckpoint(), CHECKPOINT_FLUSH_INTERVAL_MS);
+    }
+
+    stop() {
+        clearInterval(this.stallTimer);
+        clearInterval(this.checkpointTimer);
+        this._flushCheckpoint();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this._setState('stopped'); // The disconnect handler does not reconnect once stopped
+        return this.xmpp?.stop();
+    }
+
+    getState() {
+        return { source: 'xmpp', ...this.connectionState };
+    }
+
+    _buildHistoryRequest() {
+        // Ask the chatroom for everything since the last processed stanza (XEP-0045 discussion history)
+        // Without a checkpoint the server default history is used
+        if (!this.lastProcessedAt) {
+            return xml('x', { xmlns: 'http://jabber.org/protocol/muc' });
+        }
+
+        const since = new Date(new Date(this.lastProcessedAt).getTime() - HISTORY_OVERLAP_MS).toISOString();
+        console.log(`Requesting NWWS-OI history since ${since}`);
+        return xml('x', { xmlns: 'http://jabber.org/protocol/muc' }, xml('history', { since }));
+    }
+
+    _getStanzaReplayInfo(stanza) {
+        // NWWS-OI gives every product a unique ID (e.g. "14425.26614"), fall back to the header fields
+        const attrs = stanza.getChild('x', 'nwws-oi')?.attrs || {};
+        const key = attrs.id || `${attrs.cccc}-${attrs.ttaaii}-${attrs.awipsid}-${attrs.issue}`;
+
+        // Stanzas replayed from history carry the time the server originally received them
+        const delayStamp = stanza.getChild('delay', 'urn:xmpp:delay')?.attrs?.stamp;
+        const receivedAt = delayStamp && !isNaN(new Date(delayStamp).getTime()) ? new Date(delayStamp).toISOString() : new Date().toISOString();
+
+        return { key, receivedAt, isReplay: Boolean(delayStamp) };
+    }
+
+    _recordProcessedStanza({ key, receivedAt, isReplay }) {
+        if (isReplay) {
+            console.log(`Processed replayed stanza ${key} from ${receivedAt}`);
+        }
+
+        // Keep the set bounded, oldest IDs go first
+        this.processedStanzaIds.add(key);
+        if (this.processedStanzaIds.size > MAX_REMEMBERED_STANZA_IDS) {
+            this.processedStanzaIds.delete(this.processedStanzaIds.values().next().value);
+        }
+
+        if (!this.lastProcessedAt || receivedAt > this.lastProcessedAt) {
+            this.lastProcessedAt = receivedAt;
+        }
+        this.checkpointDirty = true;
+    }
+
+    _flushCheckpoint() {
+        if (!this.checkpointDirty) {
+            return;
+        }
+
+        this.checkpointDirty = false;
+        try {
+            writeIngestCheckpoint({
+                lastProcessedAt: this.lastProcessedAt,
+                processedStanzaIds: Array.from(this.processedStanzaIds)
+            });
+        } catch (err) {
+            console.error('Error saving ingest checkpoint:', err.message);
+        }
+    }
+
+    _setState(state) {
+        if (this.connectionState.state === state) {
+            return;
+        }
+        console.log(`NWWS-OI connection state: ${this.connectionState.state} -> ${state}`);
+        this.connectionState.state = state;
+        this.connectionState.since = new Date().toISOString();
+    }
+
+    _markStanzaReceived() {
+        this.connectionState.lastStanzaAt = new Date().toISOString();
+        if (this.connectionState.state === 'online') {
+            this._setState('joined');
+        }
+    }
+
+    _start() {
+        this._setState('connecting');
+        this.xmpp.start().catch((err) => {
+            // Failing before the socket opened does not emit "disconnect", so retry from here
+            console.error('Error connecting to NWWS-OI:', err.message);
+            this.connectionState.lastError = err.message;
+            if (this.xmpp.status === 'offline' || this.xmpp.status === 'disconnect') {
+                this._setState('disconnected');
+                this._scheduleReconnect();
+            }
+        });
+    }
+
+    _scheduleReconnect() {
+        if (this.reconnectTimer) {
+            return; // Already waiting to reconnect
+        }
+
+        if (this.connectionState.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.error(`Giving up on NWWS-OI after ${this.connectionState.reconnectAttempts} reconnect attempts`);
+            this._setState('failed');
+            return;
+        }
+
+        // Exponential backoff with jitter: between half and all of initialDelay * 2^attempts
+        const attempt = this.connectionState.reconnectAttempts++;
+        const backoff = Math.min(this.initialReconnectDelay * (2 ** attempt), MAX_RECONNECT_DELAY);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        console.log(`Reconnecting to NWWS-OI in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${this.maxReconnectAttempts})`);
+        this._setState('reconnecting');
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                if (this.xmpp.status === 'offline') {
+                    this._start();
+                } else {
+                    await this.xmpp.reconnect.reconnect();
+                }
+            } catch (err) {
+                // A failed attempt emits "disconnect" (or not, if the socket never opened)
+                console.error('NWWS-OI reconnect attempt failed:', err.message);
+                this.connectionState.lastError = err.message;
+                if (this.xmpp.status !== 'online') {
+                    this._scheduleReconnect();
+                }
+            }
+        }, delay);
+    }
+
+    _startStallDetector() {
+        // NWWS-OI sends products every few seconds, a long silence means the session is dead without a disconnect
+        this.stallTimer = setInterval(() => {
+            const { state, lastStanzaAt } = this.connectionState;
+            if (state !== 'joined' || !lastStanzaAt) {
+                return;
+            }
+
+            const silentForMs = Date.now() - new Date(lastStanzaAt).getTime();
+            if (silentForMs > this.stallTimeoutMs) {
+                console.warn(`No NWWS-OI messages for ${Math.round(silentForMs / 60000)} minutes, forcing a reconnect`);
+                this._setState('stalled');
+                this.xmpp.disconnect().catch((err) => {
+                    console.error('Error disconnecting stalled NWWS-OI session:', err.message);
+                    this._scheduleReconnect();
+                });
+            }
+        }, 30 * 1000);
+    }
+}
@@ -0,0 +1,57 @@
+/*
+Alert Severity
+
+Orders alerts from most to least severe for clients that show one location's alerts as a list.
+Warnings come before watches, advisories and statements; within those, emergencies and PDS
+alerts come first, then the more dangerous hazards, then the higher damage threats.
+*/
+
+// VTEC significance, highest first
+const SIGNIFICANCE_ORDER = ['W', 'A', 'Y', 'S', 'F', 'O', 'N'];
+
+// VTEC phenomena, most dangerous first; anything else comes after these
+const PHENOMENA_ORDER = ['TO', 'EW', 'FF', 'SV', 'SQ', 'HU', 'SS', 'TR', 'BZ', 'IS', 'WS', 'DS', 'EH', 'HW', 'FL', 'MA', 'FA', 'FW', 'EC', 'WC', 'WW', 'WI'];
+
+// Damage threat tags, highest first
+const DAMAGE_THREAT_ORDER = ['CATASTROPHIC', 'DESTRUCTIVE', 'CONSIDERABLE', 'BASE'];
+
+function orderIndex(order, value) {
+    const index = order.indexOf(value);
+    return index === -1 ? order.length : index;
+}
+
+/**
+ * Sort key of an alert, lower is more severe
+ * @param {Object} alert - Stored alert
+ * @returns {number[]} [significance, emergency/PDS, phenomena, damage threat]
+ */
+export function getSeverityKey(alert) {
+    const properties = alert?.properties || {};
+    const damageThreats = [properties.tornadoDamageThreat, properties.thunderstormDamageThreat, properties.flashFloodDamageThreat]
+        .filter(Boolean)
+        .map((threat) => orderIndex(DAMAGE_THREAT_ORDER, threat));
+
+    return [
+        orderIndex(SIGNIFICANCE_ORDER, alert?.vtec?.significance),
+        properties.isEmergency ? 0 : properties.isPds ? 1 : 2,
+        orderIndex(PHENOMENA_ORDER, alert?.vtec?.phenomena),
+        Math.min(DAMAGE_THREAT_ORDER.length, ...damageThreats)
+    ];
+}
+
+/**
+ * Compare function for Array.prototype.sort, most severe first; ties go to the alert that expires last
+ * @param {Object} a - Stored alert
+ * @param {Object} b - Stored alert
+ * @returns {number}
+ */
+export function compareSeverity(a, b) {
+    const keyA = getSeverityKey(a);
+    const keyB = getSeverityKey(b);
+    for (let i = 0; i < keyA.length; i++) {
+        if (keyA[i] !== keyB[i]) {
+            return keyA[i] - keyB[i];
+        }
+    }
+    return String(b.expiresAt || '').localeCompare(String(a.expiresAt || ''));
+}
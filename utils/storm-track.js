@@ -0,0 +1,215 @@
+/*
+Storm Track Projection
+
+Turns the storm motion of a warning (TIME...MOT...LOC) into a projected track.
+The storm is moved along its motion vector for up to an hour and the track is cut where it leaves the warning polygon.
+Distances use a flat projection around the storm, which is close enough at warning scale.
+*/
+
+const KM_PER_KNOT_HOUR = 1.852;
+const EARTH_RADIUS_KM = 6371;
+const PROJECTION_MINUTES = [15, 30, 45, 60];
+const MAX_PROJECTION_MINUTES = 60;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Move a point along a bearing on the sphere
+ * @param {number[]} point - [lon, lat]
+ * @param {number} bearing - Bearing in degrees from north
+ * @param {number} distanceKm - Distance to move
+ * @returns {number[]} [lon, lat] rounded to 4 decimals
+ */
+function destination([lon, lat], bearing, distanceKm) {
+    const angular = distanceKm / EARTH_RADIUS_KM;
+    const lat1 = toRadians(lat);
+    const lon1 = toRadians(lon);
+    const theta = toRadians(bearing);
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+    const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(lat1), Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+    return [Number(toDegrees(lon2).toFixed(4)), Number(toDegrees(lat2).toFixed(4))];
+}
+
+/**
+ * Ray casting test of a point against a Polygon or MultiPolygon (holes included)
+ * @param {number[]} point - [lon, lat]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean} True if the point is inside
+ */
+export function pointInGeometry([x, y], geometry) {
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates] : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+    return polygons.some((rings) => {
+        let inside = false;
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+        }
+        return inside;
+    });
+}
+
+/**
+ * Fraction along the segment start-end where it first crosses the geometry's boundary
+ * @returns {number|null} 0-1, or null if the segment does not cross the boundary
+ */
+function firstBoundaryCrossing(start, end, geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const [px, py] = start;
+    const rx = end[0] - px;
+    const ry = end[1] - py;
+    let nearest = null;
+
+    for (const ring of polygons.flat()) {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const [qx, qy] = ring[i];
+            const sx = ring[i + 1][0] - qx;
+            const sy = ring[i + 1][1] - qy;
+            const denominator = rx * sy - ry * sx;
+            if (denominator === 0) continue;
+
+            const t = ((qx - px) * sy - (qy - py) * sx) / denominator;
+            const u = ((qx - px) * ry - (qy - py) * rx) / denominator;
+            if (t > 1e-9 && t <= 1 && u >= 0 && u <= 1 && (nearest === null || t < nearest)) {
+                nearest = t;
+            }
+        }
+    }
+
+    return nearest;
+}
+
+/**
+ * Motion of each storm location, cut to the part inside the warning polygon
+ * TIME...MOT...LOC gives the direction the storm moves from, so the heading is the opposite
+ * @param {Object} timeMotLoc - { observedAt, direction, speed, locations: [{ lat, lon }] }
+ * @param {Object|null} polygon - Warning Polygon or MultiPolygon, null to keep the full hour
+ * @returns {Array} [{ start, heading, speedKmPerMinute, minutes }]
+ */
+export function getTrackSegments(timeMotLoc, polygon = null) {
+    if (!timeMotLoc || !Number.isFinite(timeMotLoc.direction) || !Number.isFinite(timeMotLoc.speed)) {
+        return [];
+    }
+
+    const locations = timeMotLoc.locations?.length ? timeMotLoc.locations : [timeMotLoc.location].filter(Boolean);
+    const heading = (timeMotLoc.direction + 180) % 360;
+    const speedKmPerMinute = timeMotLoc.speed * KM_PER_KNOT_HOUR / 60;
+
+    return locations.map(({ lat, lon }) => {
+        const start = [lon, lat];
+        let minutes = MAX_PROJECTION_MINUTES;
+
+        // Storms just outside their polygon keep the full hour
+        if (polygon && speedKmPerMinute > 0 && pointInGeometry(start, polygon)) {
+            const end = destination(start, heading, speedKmPerMinute * MAX_PROJECTION_MINUTES);
+            const crossing = firstBoundaryCrossing(start, end, polygon);
+            if (crossing !== null) {
+                minutes = crossing * MAX_PROJECTION_MINUTES;
+            }
+        }
+
+        return { start, heading, speedKmPerMinute, minutes };
+    });
+}
+
+/**
+ * Build the storm motion GeoJSON of a warning: the current position, the motion vector
+ * and the positions 15/30/45/60 minutes ahead that are still inside the warning polygon
+ * @param {Object} timeMotLoc - Storm motion from the parser
+ * @param {Object|null} polygon - Warning polygon
+ * @returns {Object|null} GeoJSON FeatureCollection, null without storm motion
+ */
+export function buildStormTrack(timeMotLoc, polygon = null) {
+    const segments = getTrackSegments(timeMotLoc, polygon);
+    if (segments.length === 0) {
+        return null;
+    }
+
+    const observedAt = timeMotLoc.observedAt ? new Date(timeMotLoc.observedAt) : null;
+    const timeAfter = (minutes) => observedAt ? new Date(observedAt.getTime() + minutes * 60000).toISOString() : null;
+    const features = [];
+
+    segments.forEach(({ start, heading, speedKmPerMinute, minutes }, index) => {
+        features.push({
+            type: 'Feature',
+            properties: { kind: 'current', location: index, time: timeMotLoc.observedAt || null },
+            geometry: { type: 'Point', coordinates: start }
+        });
+
+        features.push({
+            type: 'Feature',
+            properties: {
+                kind: 'motion',
+                location: index,
+                direction: timeMotLoc.direction,
+                heading,
+                speedKnots: timeMotLoc.speed,
+                minutes: Math.round(minutes)
+            },
+            geometry: { type: 'LineString', coordinates: [start, destination(start, heading, speedKmPerMinute * minutes)] }
+        });
+
+        for (const projected of PROJECTION_MINUTES.filter((projected) => projected <= minutes + 1e-6)) {
+            features.push({
+                type: 'Feature',
+                properties: { kind: 'projected', location: index, minutes: projected, time: timeAfter(projected) },
+                geometry: { type: 'Point', coordinates: destination(start, heading, speedKmPerMinute * projected) }
+            });
+        }
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Closest approach of a projected storm track to a point
+ * Only the part of the track that is still ahead of the storm (from now) counts
+ * @param {Object} timeMotLoc - Storm motion from the parser
+ * @param {Object|null} polygon - Warning polygon
+ * @param {number} lat - Latitude of the point
+ * @param {number} lon - Longitude of the point
+ * @param {Date} now - Current time
+ * @returns {Object|null} { distanceKm, eta, minutes } or null if the track is over or has no time
+ */
+export function getClosestApproach(timeMotLoc, polygon, lat, lon, now = new Date()) {
+    const observedAt = timeMotLoc?.observedAt ? new Date(timeMotLoc.observedAt) : null;
+    if (!observedAt || isNaN(observedAt.getTime())) {
+        return null;
+    }
+
+    const elapsed = Math.max(0, (now.getTime() - observedAt.getTime()) / 60000);
+    let closest = null;
+
+    for (const { start, heading, speedKmPerMinute, minutes } of getTrackSegments(timeMotLoc, polygon)) {
+        if (elapsed > minutes) continue;
+
+        // Flat km grid around the point
+        const kmPerDegreeLon = 111.32 * Math.cos(toRadians(lat));
+        const x0 = (start[0] - lon) * kmPerDegreeLon;
+        const y0 = (start[1] - lat) * 110.574;
+        const vx = speedKmPerMinute * Math.sin(toRadians(heading));
+        const vy = speedKmPerMinute * Math.cos(toRadians(heading));
+
+        const speedSquared = vx * vx + vy * vy;
+        const t = speedSquared > 0 ? Math.min(minutes, Math.max(elapsed, -(x0 * vx + y0 * vy) / speedSquared)) : elapsed;
+        const distanceKm = Math.hypot(x0 + vx * t, y0 + vy * t);
+
+        if (!closest || distanceKm < closest.distanceKm) {
+            closest = {
+                distanceKm: Number(distanceKm.toFixed(1)),
+                eta: new Date(observedAt.getTime() + t * 60000).toISOString(),
+                minutes: Math.round(t - elapsed)
+            };
+        }
+    }
+
+    return closest;
+}
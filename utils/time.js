@@ -0,0 +1,255 @@
+/*
+Time Utilities
+
+Shared time parsing for NWS products.
+Local times ("UNTIL 500 PM CDT") are resolved with the time zone abbreviation when it is a known one,
+otherwise with the IANA zone of the issuing office so daylight saving time is still right.
+UTC day/time stamps (UGC purge times, SPC valid times) are placed in the month closest to the issuance.
+Every function returns { iso, guessed }; guessed is true when the result relied on a fallback
+(office zone instead of the abbreviation, UTC instead of a local zone, the current time instead of the issuance).
+*/
+
+// Fixed UTC offsets (hours) of the abbreviations used in NWS products
+// The abbreviation already says whether daylight saving time is in effect
+const TIMEZONE_OFFSETS = {
+    UTC: 0, GMT: 0, Z: 0,
+    AST: -4, ADT: -3,
+    EST: -5, EDT: -4,
+    CST: -6, CDT: -5,
+    MST: -7, MDT: -6,
+    PST: -8, PDT: -7,
+    AKST: -9, AKDT: -8,
+    HST: -10, HDT: -9,
+    SST: -11,
+    CHST: 10
+};
+
+// Abbreviations without standard/daylight, resolved with DST for the date
+const GENERIC_TIMEZONES = {
+    ET: 'America/New_York',
+    CT: 'America/Chicago',
+    MT: 'America/Denver',
+    PT: 'America/Los_Angeles',
+    AKT: 'America/Anchorage',
+    HT: 'Pacific/Honolulu'
+};
+
+// Issuing office (CCCC) -> IANA zone, for products with unknown or missing abbreviations
+const OFFICE_TIMEZONE_GROUPS = {
+    'America/New_York': [
+        'KCAR', 'KGYX', 'KBTV', 'KBOX', 'KALY', 'KBGM', 'KBUF', 'KOKX', 'KPHI', 'KCTP', 'KLWX', 'KAKQ', 'KRNK',
+        'KRLX', 'KMHX', 'KRAH', 'KILM', 'KCHS', 'KCAE', 'KGSP', 'KFFC', 'KJAX', 'KMLB', 'KTBW', 'KMFL', 'KKEY',
+        'KTAE', 'KCLE', 'KILN', 'KPBZ', 'KJKL', 'KMRX', 'KNHC', 'KWNH', 'KWBC', 'KTAR', 'KTIR', 'KALR', 'KRHA'
+    ],
+    'America/Detroit': ['KDTX', 'KGRR', 'KAPX', 'KMQT'],
+    'America/Indiana/Indianapolis': ['KIND', 'KIWX'],
+    'America/Kentucky/Louisville': ['KLMK'],
+    'America/Chicago': [
+        'KBMX', 'KHUN', 'KMOB', 'KJAN', 'KLIX', 'KLCH', 'KSHV', 'KLZK', 'KMEG', 'KOHX', 'KPAH', 'KLOT', 'KILX',
+        'KDVN', 'KDMX', 'KARX', 'KMPX', 'KDLH', 'KGRB', 'KMKX', 'KFSD', 'KABR', 'KBIS', 'KFGF', 'KOAX', 'KGID',
+        'KLBF', 'KTOP', 'KICT', 'KDDC', 'KEAX', 'KSGF', 'KLSX', 'KTSA', 'KOUN', 'KAMA', 'KLUB', 'KMAF', 'KSJT',
+        'KFWD', 'KEWX', 'KHGX', 'KCRP', 'KBRO', 'KWNS', 'KTUA', 'KORN', 'KKRF', 'KMSR', 'KFWR'
+    ],
+    'America/Denver': ['KUNR', 'KCYS', 'KRIW', 'KBOU', 'KPUB', 'KGJT', 'KGLD', 'KABQ', 'KEPZ', 'KTFX', 'KGGW', 'KBYZ', 'KMSO', 'KSLC', 'KSTR'],
+    'America/Boise': ['KBOI', 'KPIH'],
+    'America/Phoenix': ['KFGZ', 'KPSR', 'KTWC'],
+    'America/Los_Angeles': [
+        'KVEF', 'KREV', 'KLKN', 'KSTO', 'KMTR', 'KHNX', 'KLOX', 'KSGX', 'KEKA', 'KMFR', 'KPDT', 'KPQR', 'KSEW',
+        'KOTX', 'KRSA', 'KPTR'
+    ],
+    'America/Anchorage': ['PAFC', 'PAFG', 'PACR'],
+    'America/Juneau': ['PAJK'],
+    'Pacific/Honolulu': ['PHFO'],
+    'Pacific/Guam': ['PGUM'],
+    'Pacific/Pago_Pago': ['NSTU'],
+    'America/Puerto_Rico': ['TJSJ']
+};
+
+const OFFICE_TIMEZONES = new Map(Object.entries(OFFICE_TIMEZONE_GROUPS)
+    .flatMap(([zone, offices]) => offices.map((office) => [office, zone])));
+
+const HOUR_MS = 3600000;
+
+/**
+ * IANA time zone of an issuing office
+ * @param {string} officeCode - 4 letter office (e.g. "KBMX")
+ * @returns {string|null} IANA zone or null if the office is unknown
+ */
+export function getOfficeTimezone(officeCode) {
+    return OFFICE_TIMEZONES.get(String(officeCode || '').toUpperCase()) || null;
+}
+
+/**
+ * UTC offset of an IANA zone at a moment
+ * @param {string} timeZone - IANA zone
+ * @param {Date} date - Moment to get the offset for
+ * @returns {number} Offset in hours (negative west of UTC)
+ */
+function zoneOffsetAt(timeZone, date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).map(({ type, value }) => [type, value]));
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return (asUtc - Math.floor(date.getTime() / 1000) * 1000) / HOUR_MS;
+}
+
+/**
+ * Convert a local wall clock time to UTC in an IANA zone
+ * Checks the offset on both sides of a DST change
+ * @returns {number} UTC milliseconds
+ */
+function zonedTimeToUtc(localMs, timeZone) {
+    let utcMs = localMs - zoneOffsetAt(timeZone, new Date(localMs)) * HOUR_MS;
+    utcMs = localMs - zoneOffsetAt(timeZone, new Date(utcMs)) * HOUR_MS;
+    return utcMs;
+}
+
+/**
+ * Resolve a time zone abbreviation for an office
+ * @param {string} abbreviation - Abbreviation from the product (e.g. "CDT", "ChST", "CT")
+ * @param {string} officeCode - Issuing office, used when the abbreviation is not known
+ * @returns {{offset: number|null, timeZone: string|null, guessed: boolean}} Fixed offset in hours or a zone to resolve with DST
+ */
+export function resolveTimezone(abbreviation, officeCode = null) {
+    const code = String(abbreviation || '').toUpperCase();
+
+    if (TIMEZONE_OFFSETS[code] !== undefined) {
+        return { offset: TIMEZONE_OFFSETS[code], timeZone: null, guessed: false };
+    }
+    if (GENERIC_TIMEZONES[code]) {
+        return { offset: null, timeZone: GENERIC_TIMEZONES[code], guessed: false };
+    }
+
+    // Unknown or missing abbreviation: the office zone is the best guess, UTC the last resort
+    const officeZone = getOfficeTimezone(officeCode);
+    return officeZone ? { offset: null, timeZone: officeZone, guessed: true } : { offset: 0, timeZone: null, guessed: true };
+}
+
+/**
+ * Convert a local date and time to an ISO string
+ * @param {Object} local - { year, month (1-12), day, hour (0-23), minute }
+ * @param {string} abbreviation - Time zone abbreviation from the product
+ * @param {string} officeCode - Issuing office
+ * @returns {{iso: string|null, guessed: boolean}}
+ */
+export function localTimeToIso({ year, month, day, hour, minute = 0 }, abbreviation, officeCode = null) {
+    const localMs = Date.UTC(year, month - 1, day, hour, minute);
+    if (isNaN(localMs)) {
+        return { iso: null, guessed: true };
+    }
+
+    const { offset, timeZone, guessed } = resolveTimezone(abbreviation, officeCode);
+    const utcMs = timeZone ? zonedTimeToUtc(localMs, timeZone) : localMs - offset * HOUR_MS;
+    return { iso: new Date(utcMs).toISOString(), guessed };
+}
+
+/**
+ * Convert a local clock time without a date ("UNTIL 1215 AM CDT") to the first such time after the issuance
+ * @param {Object} clock - { hour (1-12), minute, ampm }
+ * @param {string} abbreviation - Time zone abbreviation from the product
+ * @param {Object} context - { issuedAt, officeCode }
+ * @returns {{iso: string|null, guessed: boolean}}
+ */
+export function clockTimeToIso({ hour, minute = 0, ampm }, abbreviation, { issuedAt = null, officeCode = null } = {}) {
+    let hour24 = parseInt(hour, 10) % 12;
+    if (String(ampm).toUpperCase() === 'PM') {
+        hour24 += 12;
+    }
+
+    const issued = issuedAt ? new Date(issuedAt) : null;
+    const reference = issued && !isNaN(issued.getTime()) ? issued : new Date();
+    const referenceGuessed = reference !== issued;
+
+    // Local date at the issuance, then the same clock time on that day or the next one
+    const { offset, timeZone, guessed } = resolveTimezone(abbreviation, officeCode);
+    const localOffset = timeZone ? zoneOffsetAt(timeZone, reference) : offset;
+    const localReference = new Date(reference.getTime() + localOffset * HOUR_MS);
+
+    for (const dayOffset of [0, 1]) {
+        const result = localTimeToIso({
+            year: localReference.getUTCFullYear(),
+            month: localReference.getUTCMonth() + 1,
+            day: localReference.getUTCDate() + dayOffset,
+            hour: hour24,
+            minute: parseInt(minute, 10) || 0
+        }, abbreviation, officeCode);
+
+        // Allow an hour before the issuance for products that went out a little late
+        if (dayOffset === 1 || new Date(result.iso).getTime() >= reference.getTime() - HOUR_MS) {
+            return { iso: result.iso, guessed: guessed || referenceGuessed };
+        }
+    }
+}
+
+/**
+ * Convert a UTC DDHHMM stamp (UGC purge time, SPC valid time) to an ISO string
+ * The month and year are the ones that put the stamp closest to the issuance,
+ * so a purge on the 1st issued on the 31st lands in the next month (and year in December)
+ * @param {string} ddhhmm - DDHHMM in UTC (e.g., "180000")
+ * @param {string|Date} issuedAt - Product issuance time
+ * @returns {{iso: string|null, guessed: boolean}}
+ */
+export function parseDayTime(ddhhmm, issuedAt) {
+    if (!ddhhmm || !/^\d{6}$/.test(ddhhmm)) {
+        return { iso: null, guessed: false };
+    }
+
+    const issued = issuedAt ? new Date(issuedAt) : null;
+    const reference = issued && !isNaN(issued.getTime()) ? issued : new Date();
+    const day = parseInt(ddhhmm.slice(0, 2), 10);
+    const hour = parseInt(ddhhmm.slice(2, 4), 10);
+    const minute = parseInt(ddhhmm.slice(4, 6), 10);
+
+    let closest = null;
+    for (const monthOffset of [-1, 0, 1]) {
+        const year = reference.getUTCFullYear();
+        const month = reference.getUTCMonth() + monthOffset;
+
+        // Skip months without that day (e.g. the 31st in a 30 day month)
+        const candidate = new Date(Date.UTC(year, month, day, hour, minute));
+        if (candidate.getUTCDate() !== day) continue;
+
+        if (!closest || Math.abs(candidate - reference) < Math.abs(closest - reference)) {
+            closest = candidate;
+        }
+    }
+
+    return { iso: closest ? closest.toISOString() : null, guessed: reference !== issued };
+}
+
+/**
+ * ISO string of a DDHHMM stamp, see parseDayTime
+ * @returns {string|null}
+ */
+export function dayTimeToIso(ddhhmm, issuedAt) {
+    return parseDayTime(ddhhmm, issuedAt).iso;
+}
+
+/**
+ * Convert a UTC HHMM time (TIME...MOT...LOC) to the ISO time closest to the issuance
+ * @param {string} hhmm - HHMM in UTC
+ * @param {string|Date} issuedAt - Product issuance time
+ * @returns {{iso: string|null, guessed: boolean}}
+ */
+export function parseUtcClockTime(hhmm, issuedAt) {
+    if (!hhmm || !/^\d{4}$/.test(hhmm)) {
+        return { iso: null, guessed: false };
+    }
+
+    const issued = issuedAt ? new Date(issuedAt) : null;
+    const reference = issued && !isNaN(issued.getTime()) ? issued : new Date();
+
+    const time = new Date(reference);
+    time.setUTCHours(parseInt(hhmm.slice(0, 2), 10), parseInt(hhmm.slice(2), 10), 0, 0);
+    if (time - reference > 12 * HOUR_MS) {
+        time.setUTCDate(time.getUTCDate() - 1);
+    } else if (reference - time > 12 * HOUR_MS) {
+        time.setUTCDate(time.getUTCDate() + 1);
+    }
+
+    return { iso: time.toISOString(), guessed: reference !== issued };
+}
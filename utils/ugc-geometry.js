@@ -0,0 +1,168 @@
+/*
+UGC Geometry Lookups
+
+Builds alert geometry and display names from UGC codes for products that have no LAT...LON polygon.
+The lookup tables are loaded once and indexed by code.
+Zone tables are generated from the NWS zone shapefiles with scripts/build-zone-geometry.js.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ugcToFips } from './ugc.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LOOKUPS_DIR = path.join(__dirname, '..', 'lookups');
+const COUNTY_GEOMETRY_FILE = path.join(LOOKUPS_DIR, 'fips_county_geometry.json');
+const ZONE_GEOMETRY_FILE = path.join(LOOKUPS_DIR, 'zone_geometry.json');
+const FIRE_ZONE_GEOMETRY_FILE = path.join(LOOKUPS_DIR, 'fire_zone_geometry.json');
+
+// Code -> { name, type, coordinates }
+// Counties are keyed by FIPS, zones by UGC (forecast and marine zones share one table, fire zones have their own)
+const countyIndex = new Map();
+const zoneIndex = new Map();
+const fireZoneIndex = new Map();
+
+/**
+ * Read a lookup file ({ code: { name, geometry } }) into an index
+ * @param {Map} index - Index to fill
+ * @param {string} filePath - Path to the lookup JSON file
+ * @param {Function} normalizeKey - Function to normalize the keys of the file
+ * @returns {number} Number of entries with geometry
+ */
+function loadIndex(index, filePath, normalizeKey = (key) => key) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    index.clear();
+
+    for (const [code, entry] of Object.entries(raw)) {
+        if (!Array.isArray(entry?.geometry) || entry.geometry.length === 0) continue;
+
+        // Polygons are arrays of rings, multipolygons are one level deeper
+        const isMultiPolygon = Array.isArray(entry.geometry[0]?.[0]?.[0]);
+        index.set(normalizeKey(code), {
+            name: entry.name || null,
+            type: isMultiPolygon ? 'MultiPolygon' : 'Polygon',
+            coordinates: entry.geometry
+        });
+    }
+
+    return index.size;
+}
+
+/**
+ * Load the county geometry lookup into memory
+ * Keys in the file drop the leading zero of the state FIPS ("1001"), the index uses 5 digits ("01001")
+ * @param {string} filePath - Path to the county geometry JSON file
+ * @returns {number} Number of counties with geometry
+ */
+export function loadCountyGeometry(filePath = COUNTY_GEOMETRY_FILE) {
+    const count = loadIndex(countyIndex, filePath, (fips) => fips.padStart(5, '0'));
+    console.log(`Loaded geometry for ${count} counties`);
+    return count;
+}
+
+/**
+ * Load the forecast/marine and fire zone geometry lookups into memory
+ * Missing tables only disable the zone fallback, they are not an error
+ * @param {string} zoneFilePath - Path to the forecast/marine zone geometry JSON file
+ * @param {string} fireZoneFilePath - Path to the fire zone geometry JSON file
+ * @returns {number} Number of zones with geometry
+ */
+export function loadZoneGeometry(zoneFilePath = ZONE_GEOMETRY_FILE, fireZoneFilePath = FIRE_ZONE_GEOMETRY_FILE) {
+    let count = 0;
+
+    for (const [index, filePath] of [[zoneIndex, zoneFilePath], [fireZoneIndex, fireZoneFilePath]]) {
+        if (!fs.existsSync(filePath)) {
+            console.warn(`${path.basename(filePath)} not found; run "npm run build:zones" to enable zone geometry`);
+            index.clear();
+            continue;
+        }
+        count += loadIndex(index, filePath);
+    }
+
+    console.log(`Loaded geometry for ${count} zones`);
+    return count;
+}
+
+/**
+ * Look up a county by FIPS code
+ * @param {string} fips - 5 digit FIPS code (e.g., "01001")
+ * @returns {Object|null} County name and geometry or null if not found
+ */
+export function getCounty(fips) {
+    if (!fips) return null;
+    return countyIndex.get(String(fips).padStart(5, '0')) || null;
+}
+
+/**
+ * Look up a county, forecast, marine or fire zone by UGC code
+ * @param {string} ugc - UGC code (e.g., "ALC001", "OKZ025", "GMZ250")
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.preferFireZones - Use fire zone shapes for Z codes when available (fire weather products)
+ * @returns {Object|null} Name and geometry or null if not found
+ */
+export function getUgcArea(ugc, options = {}) {
+    if (!ugc) return null;
+
+    if (/^[A-Z]{2}C\d{3}$/.test(ugc)) {
+        return getCounty(ugcToFips(ugc));
+    }
+
+    if (options.preferFireZones && fireZoneIndex.has(ugc)) {
+        return fireZoneIndex.get(ugc);
+    }
+
+    return zoneIndex.get(ugc) || fireZoneIndex.get(ugc) || null;
+}
+
+/**
+ * Get a display name for a UGC code
+ * @param {string} ugc - UGC code
+ * @returns {string|null} County or zone name, or null if unknown
+ */
+export function getUgcName(ugc) {
+    return getUgcArea(ugc)?.name || null;
+}
+
+/**
+ * Build a MultiPolygon from a list of UGC codes
+ * @param {string[]} ugcs - UGC codes (e.g., ["ALC001", "OKZ025"])
+ * @param {Object} options - Lookup options, see getUgcArea
+ * @returns {{geometry: Object, geometrySource: string}|null} Combined geometry and where it came from, or null if no UGC has geometry
+ */
+export function buildUgcGeometry(ugcs, options = {}) {
+    if (!Array.isArray(ugcs) || ugcs.length === 0) return null;
+
+    const polygons = [];
+    let onlyCounties = true;
+    for (const ugc of ugcs) {
+        const area = getUgcArea(ugc, options);
+        if (!area) continue;
+
+        if (!/^[A-Z]{2}C/.test(ugc)) onlyCounties = false;
+
+        if (area.type === 'MultiPolygon') {
+            polygons.push(...area.coordinates);
+        } else {
+            polygons.push(area.coordinates);
+        }
+    }
+
+    if (polygons.length === 0) return null;
+
+    return {
+        geometry: { type: 'MultiPolygon', coordinates: polygons },
+        geometrySource: onlyCounties ? 'county' : 'zone'
+    };
+}
+
+/**
+ * Build a "; " separated area description from a list of UGC codes
+ * @param {string[]} ugcs - UGC codes
+ * @returns {string|null} Area description (e.g., "Harper; Woods") or null if no names are known
+ */
+export function buildAreaDesc(ugcs) {
+    if (!Array.isArray(ugcs)) return null;
+    const names = ugcs.map(getUgcName).filter(Boolean);
+    return names.length > 0 ? Array.from(new Set(names)).join('; ') : null;
+}
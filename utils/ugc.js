@@ -1,13 +1,12 @@
 /*
 UGC (Universal Geographic Code) Utilities
 
-Functions for parsing UGC codes, converting to FIPS codes, and looking up zone names.
+Functions for parsing UGC codes and converting them to FIPS codes.
+Zone/county names and shapes are looked up offline in ugc-geometry.js.
 */
 
-const https = require('https');
-
 // State/Territory -> FIPS code mapping for county UGC conversion
-const STATE_FIPS = {
+export const STATE_FIPS = {
     AL: '01', AK: '02', AZ: '04', AR: '05', CA: '06', CO: '08', CT: '09', DE: '10',
     DC: '11', FL: '12', GA: '13', HI: '15', ID: '16', IL: '17', IN: '18', IA: '19',
     KS: '20', KY: '21', LA: '22', ME: '23', MD: '24', MA: '25', MI: '26', MN: '27',
@@ -17,15 +16,12 @@ const STATE_FIPS = {
     WV: '54', WI: '55', WY: '56', AS: '60', GU: '66', MP: '69', PR: '72', VI: '78'
 };
 
-// Zone info cache (shared across all instances)
-const __zoneInfoCache = (global.__zoneInfoCache = global.__zoneInfoCache || new Map());
-
 /**
  * Convert UGC code to FIPS code (for counties)
  * @param {string} ugcId - UGC code (e.g., "CAC001")
  * @returns {string|null} FIPS code or null if invalid
  */
-function ugcToFips(ugcId) {
+export function ugcToFips(ugcId) {
     if (!ugcId) return null;
     const m = ugcId.match(/^([A-Z]{2})C(\d{3})$/);
     if (!m) return null;
@@ -40,7 +36,7 @@ function ugcToFips(ugcId) {
  * @param {string} group - UGC group string (e.g., "CAZ001-002>005-")
  * @returns {string[]} Array of individual UGC codes
  */
-function expandUgcGroup(group) {
+export function expandUgcGroup(group) {
     if (!group) return [];
     // Trim trailing hyphens and capture prefix letters
     group = group.replace(/^-+|-+$/g, '').trim();
@@ -75,99 +71,40 @@ function expandUgcGroup(group) {
 }
 
 /**
- * Simple HTTPS GET -> JSON helper
- * @param {string} url - URL to fetch
- * @param {number} timeout - Request timeout in milliseconds
- * @returns {Promise<Object>} Parsed JSON object
- */
-function getJson(url, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-        try {
-            const req = https.get(url, { headers: { 'User-Agent': 'SparkAlerts', 'Accept': 'application/geo+json, application/json' } }, (res) => {
-                let data = '';
-                res.on('data', (c) => data += c);
-                res.on('end', () => {
-                    try {
-                        const obj = JSON.parse(data);
-                        resolve(obj);
-                    } catch (e) {
-                        reject(e);
-                    }
-                });
-            });
-            req.on('error', reject);
-            req.setTimeout(timeout, () => { req.destroy(new Error('timeout')); });
-        } catch (e) { reject(e); }
-    });
-}
-
-/**
- * Look up friendly zone/county name from API
- * @param {string} ugcId - UGC code
- * @returns {Promise<string|null>} Zone/county name or null if not found
+ * Parse a full UGC line into individual UGC IDs and the purge time
+ * Handles several state/type prefixes on one line and ranges, e.g. "OKZ004>006-TXZ001-002-180000-"
+ * @param {string} line - UGC line, may span several lines of the product
+ * @returns {{ugcs: string[], purgeTime: string|null}} Expanded UGC codes and the DDHHMM purge time
  */
-async function lookupZoneDisplay(ugcId) {
-    if (!ugcId) return null;
-    if (__zoneInfoCache.has(ugcId)) return __zoneInfoCache.get(ugcId);
-
-    // validate UGC format
-    const m = ugcId.match(/^([A-Z]+)(\d{3})$/);
-    if (!m) { __zoneInfoCache.set(ugcId, null); return null; }
-
-    const prefix = m[1];
-    const lastLetter = prefix[prefix.length - 1];
-    const isCounty = (lastLetter === 'C');
+export function parseUgcLine(line) {
+    if (!line) return { ugcs: [], purgeTime: null };
+    const tokens = String(line).replace(/\s+/g, '').split('-').filter(Boolean);
+    const out = new Set();
+    let prefix = null;
+    let purgeTime = null;
 
-    // County zones -> use county endpoint (keep existing behavior)
-    if (isCounty) {
-        const url = `https://api.weather.gov/zones/county/${ugcId}`;
-        try {
-            const json = await getJson(url);
-            if (json && json.properties) {
-                const name = json.properties.name && json.properties.state ? `${json.properties.name}, ${json.properties.state}` : json.properties.name || null;
-                __zoneInfoCache.set(ugcId, name);
-                return name;
-            }
-        } catch (e) {
-            // treat as not found
+    for (const token of tokens) {
+        let r;
+        // DDHHMM purge time ends the line
+        if (/^\d{6}$/.test(token)) {
+            purgeTime = token;
+            continue;
         }
-        __zoneInfoCache.set(ugcId, null);
-        return null;
-    }
-
-    // Non-county zones: try `zones/forecast` first, then fall back to `zones/fire` and return `properties.name`.
-    const forecastUrl = `https://api.weather.gov/zones/forecast/${ugcId}`;
-    try {
-        const json = await getJson(forecastUrl);
-        if (json && json.properties && json.properties.name) {
-            const name = json.properties.name;
-            __zoneInfoCache.set(ugcId, name);
-            return name;
+        // new prefix, optionally starting a range: OKZ004, OKZ004>006, OKZ004>OKZ006, OKZALL
+        if ((r = token.match(/^([A-Z]{2}[CZ])(\d{3}|ALL)(?:>(?:[A-Z]{2}[CZ])?(\d{3}))?$/))) {
+            prefix = r[1];
+            if (r[3]) {
+                for (const ugc of expandUgcGroup(`${prefix}${r[2]}>${r[3]}`)) out.add(ugc);
+            } else {
+                out.add(prefix + r[2]);
+            }
+            continue;
         }
-    } catch (e) {
-        // ignore — we'll try fallback
-    }
-
-    // Fallback: zones/fire (some UGCs exist only under the fire namespace)
-    const fireUrl = `https://api.weather.gov/zones/fire/${ugcId}`;
-    try {
-        const json = await getJson(fireUrl);
-        if (json && json.properties && json.properties.name) {
-            const name = json.properties.name;
-            __zoneInfoCache.set(ugcId, name);
-            return name;
+        // continuation of the current prefix: 012 or 016>018
+        if (prefix && /^\d{3}(?:>\d{3})?$/.test(token)) {
+            for (const ugc of expandUgcGroup(`${prefix}${token}`)) out.add(ugc);
         }
-    } catch (e) {
-        // treat as not found
     }
 
-    __zoneInfoCache.set(ugcId, null);
-    return null;
+    return { ugcs: Array.from(out), purgeTime };
 }
-
-module.exports = {
-    STATE_FIPS,
-    ugcToFips,
-    expandUgcGroup,
-    lookupZoneDisplay
-};